@@ -31,116 +31,249 @@
 
 
 // ─── Search Engines ─────────────────────────────────────────────────────────────
-// These are the search engines used for "search" type noise tasks.
+// The built-in engine registry used for "search" type noise tasks.
 // Each has a URL template where {query} is replaced with a random search term.
 // Weights control how often each engine is chosen (higher = more frequent).
-// Users can enable/disable individual engines and adjust weights in Settings.
+// Users can enable/disable individual engines and adjust weights in Settings;
+// `enabled` is only the default — the newer, smaller engines start off so
+// an update doesn't change anyone's mix behind their back. Users can also
+// add their own engines (see getSearchEngines()).
+//
+// `pageUrl` is the same search a few pages in: {offset} is the position of
+// the page's first result, counting from `firstResult` on page 1 in steps of
+// `perPage` (default SEARCH_RESULTS_PER_PAGE; 1 for engines that number
+// pages instead — see resultsPageUrl()). null for engines that only load
+// more results in place.
 
 const SEARCH_ENGINES = [
-  { id: 'google',     name: 'Google',     url: 'https://www.google.com/search?q={query}',            weight: 55 },
-  { id: 'duckduckgo', name: 'DuckDuckGo', url: 'https://duckduckgo.com/?q={query}',                  weight: 20 },
-  { id: 'bing',       name: 'Bing',       url: 'https://www.bing.com/search?q={query}',              weight: 15 },
-  { id: 'yahoo',      name: 'Yahoo',      url: 'https://search.yahoo.com/search?p={query}',          weight: 10 },
+  { id: 'google',     name: 'Google',     url: 'https://www.google.com/search?q={query}',            weight: 55, enabled: true,
+    pageUrl: 'https://www.google.com/search?q={query}&start={offset}',   firstResult: 0 },
+  { id: 'duckduckgo', name: 'DuckDuckGo', url: 'https://duckduckgo.com/?q={query}',                  weight: 20, enabled: true,
+    pageUrl: null },
+  { id: 'bing',       name: 'Bing',       url: 'https://www.bing.com/search?q={query}',              weight: 15, enabled: true,
+    pageUrl: 'https://www.bing.com/search?q={query}&first={offset}',     firstResult: 1 },
+  { id: 'yahoo',      name: 'Yahoo',      url: 'https://search.yahoo.com/search?p={query}',          weight: 10, enabled: true,
+    pageUrl: 'https://search.yahoo.com/search?p={query}&b={offset}',     firstResult: 1 },
+  { id: 'brave',      name: 'Brave Search', url: 'https://search.brave.com/search?q={query}',        weight: 10, enabled: false,
+    pageUrl: 'https://search.brave.com/search?q={query}&offset={offset}', firstResult: 0, perPage: 1 },
+  { id: 'startpage',  name: 'Startpage',  url: 'https://www.startpage.com/do/search?q={query}',      weight: 10, enabled: false,
+    pageUrl: 'https://www.startpage.com/do/search?q={query}&page={offset}', firstResult: 1, perPage: 1 },
+  { id: 'ecosia',     name: 'Ecosia',     url: 'https://www.ecosia.org/search?q={query}',            weight: 10, enabled: false,
+    pageUrl: 'https://www.ecosia.org/search?q={query}&p={offset}',       firstResult: 0, perPage: 1 },
+  { id: 'qwant',      name: 'Qwant',      url: 'https://www.qwant.com/?q={query}&t=web',             weight: 10, enabled: false,
+    pageUrl: null },
+  { id: 'wikipedia',  name: 'Wikipedia',  url: 'https://en.wikipedia.org/w/index.php?search={query}&fulltext=1', weight: 10, enabled: false,
+    pageUrl: 'https://en.wikipedia.org/w/index.php?search={query}&fulltext=1&offset={offset}', firstResult: 0, perPage: 20 },
+];
+
+// ─── Site Searches ──────────────────────────────────────────────────────────────
+// Sites with their own search box, used for "site_search" noise tasks. People
+// search inside these as much as on search engines, and what they type there
+// feeds straight into ad profiles. {query} works as in SEARCH_ENGINES;
+// `topics` are the SEARCH_TERMS_BY_CATEGORY themes a site's queries come from.
+
+const SITE_SEARCHES = [
+  { id: 'amazon',    name: 'Amazon',    url: 'https://www.amazon.com/s?k={query}',                        weight: 30,
+    topics: ['shopping', 'tech', 'food', 'health', 'general'] },
+  { id: 'youtube',   name: 'YouTube',   url: 'https://www.youtube.com/results?search_query={query}',      weight: 30,
+    topics: ['entertainment', 'education', 'food', 'tech', 'sports', 'travel', 'general'] },
+  { id: 'wikipedia', name: 'Wikipedia', url: 'https://en.wikipedia.org/w/index.php?search={query}',       weight: 15,
+    topics: ['education', 'news', 'health', 'finance', 'travel'] },
+  { id: 'reddit',    name: 'Reddit',    url: 'https://www.reddit.com/search/?q={query}',                  weight: 15,
+    topics: ['tech', 'sports', 'entertainment', 'finance', 'food', 'general'] },
+  { id: 'ebay',      name: 'eBay',      url: 'https://www.ebay.com/sch/i.html?_nkw={query}',              weight: 10,
+    topics: ['shopping', 'tech', 'sports'] },
 ];
 
+// User-added engines: at most CUSTOM_ENGINES_MAX, each a name and a URL
+// template with {query}. They get CUSTOM_ENGINE_WEIGHT until the user
+// changes it, and never paginate.
+const CUSTOM_ENGINES_MAX = 20;
+const CUSTOM_ENGINE_NAME_MAX_LENGTH = 30;
+const CUSTOM_ENGINE_WEIGHT = 10;
+
 
-// ─── Browse Sites ───────────────────────────────────────────────────────────────
-// These are the websites opened for "browse" type noise tasks.
-// Organized by category so users can enable/disable entire categories.
-// These are all mainstream, publicly-accessible websites — no obscure or
+// ─── Site Registry ──────────────────────────────────────────────────────────────
+// Every built-in site opened for "browse" and "ad_click" noise tasks. These
+// are all mainstream, publicly-accessible websites — no obscure or
 // potentially harmful sites. The goal is to generate traffic that looks like
 // a normal person browsing popular websites.
-
-const BROWSE_SITES = [
-  // ── News (indices 0–15) ──
-  'https://www.cnn.com', 'https://www.bbc.com', 'https://www.reuters.com', 'https://www.npr.org',
-  'https://apnews.com', 'https://www.nytimes.com', 'https://www.washingtonpost.com',
-  'https://www.theguardian.com', 'https://www.foxnews.com', 'https://www.aljazeera.com',
-  'https://www.msnbc.com', 'https://news.yahoo.com', 'https://www.usatoday.com',
-  'https://www.politico.com', 'https://www.theatlantic.com', 'https://www.axios.com',
-  // ── Tech (indices 16–29) ──
-  'https://arstechnica.com', 'https://www.theverge.com', 'https://www.wired.com',
-  'https://techcrunch.com', 'https://news.ycombinator.com', 'https://www.tomshardware.com',
-  'https://www.anandtech.com', 'https://www.engadget.com', 'https://www.zdnet.com',
-  'https://www.cnet.com', 'https://slashdot.org', 'https://www.techmeme.com',
-  'https://www.macrumors.com', 'https://9to5mac.com',
-  // ── Shopping (indices 30–43) ──
-  'https://www.amazon.com', 'https://www.ebay.com', 'https://www.walmart.com',
-  'https://www.target.com', 'https://www.etsy.com', 'https://www.bestbuy.com',
-  'https://www.wayfair.com', 'https://www.homedepot.com', 'https://www.ikea.com',
-  'https://www.zappos.com', 'https://www.costco.com', 'https://www.lowes.com',
-  'https://www.nordstrom.com', 'https://www.macys.com',
-  // ── Social Media (indices 44–55) ──
-  'https://www.reddit.com', 'https://www.youtube.com', 'https://twitter.com',
-  'https://www.facebook.com', 'https://www.instagram.com', 'https://www.linkedin.com',
-  'https://www.pinterest.com', 'https://www.tiktok.com', 'https://www.tumblr.com',
-  'https://mastodon.social', 'https://www.threads.net', 'https://bsky.app',
-  // ── Forums (indices 56–63) ──
-  'https://stackoverflow.com', 'https://www.quora.com',
-  'https://www.reddit.com/r/technology', 'https://www.reddit.com/r/science',
-  'https://www.reddit.com/r/worldnews', 'https://www.reddit.com/r/askscience',
-  'https://www.reddit.com/r/explainlikeimfive', 'https://www.reddit.com/r/personalfinance',
-  'https://www.reddit.com/r/cooking', 'https://www.reddit.com/r/fitness',
-  // ── Education (indices 64–71) ──
-  'https://en.wikipedia.org/wiki/Special:Random', 'https://www.khanacademy.org',
-  'https://www.coursera.org', 'https://ocw.mit.edu', 'https://arxiv.org',
-  'https://www.edx.org', 'https://www.britannica.com', 'https://www.duolingo.com',
-  // ── Entertainment (indices 72–82) ──
-  'https://www.imdb.com', 'https://www.rottentomatoes.com', 'https://open.spotify.com',
-  'https://www.twitch.tv', 'https://www.netflix.com', 'https://letterboxd.com',
-  'https://www.metacritic.com', 'https://www.ign.com', 'https://www.gamespot.com',
-  'https://store.steampowered.com', 'https://www.goodreads.com',
-  // ── Health (indices 83–88) ──
-  'https://www.webmd.com', 'https://www.mayoclinic.org', 'https://www.healthline.com',
-  'https://my.clevelandclinic.org', 'https://medlineplus.gov', 'https://www.nih.gov',
-  // ── Finance (indices 89–96) ──
-  'https://finance.yahoo.com', 'https://www.bloomberg.com', 'https://www.marketwatch.com',
-  'https://www.investopedia.com', 'https://www.cnbc.com', 'https://www.fool.com',
-  'https://www.bankrate.com', 'https://www.nerdwallet.com',
-  // ── Travel (indices 97–102) ──
-  'https://www.tripadvisor.com', 'https://www.booking.com', 'https://www.airbnb.com',
-  'https://www.expedia.com', 'https://www.lonelyplanet.com', 'https://www.kayak.com',
-  // ── Food (indices 103–109) ──
-  'https://www.allrecipes.com', 'https://www.seriouseats.com', 'https://www.bonappetit.com',
-  'https://www.foodnetwork.com', 'https://www.epicurious.com', 'https://www.simplyrecipes.com',
-  'https://www.budgetbytes.com',
-  // ── Sports (indices 110–117) ──
-  'https://www.espn.com', 'https://bleacherreport.com', 'https://theathletic.com',
-  'https://www.cbssports.com', 'https://www.si.com', 'https://www.nfl.com',
-  'https://www.nba.com', 'https://www.mlb.com',
+//
+// Each entry is tagged rather than placed in a category block:
+//   url         — the page to open
+//   categories  — SITE_CATEGORIES it's browsed under (may be several, or none
+//                 for sites only visited as ad-heavy sites)
+//   ads         — ad-heavy: visited by "ad_click" tasks. Heavy ad loads mean
+//                 more sub-resource requests (ad network calls, tracking
+//                 pixels, etc.), which adds realistic noise to your network
+//                 traffic profile
+//   js          — renders its content with JavaScript after the load event,
+//                 so interaction waits a moment (JS_SITE_SETTLE_MS)
+//   botWall     — 'login' if logged-out visitors mostly get a sign-in wall;
+//                 links found there aren't worth coming back to
+// Tags left out are false / null.
+
+const SITE_CATEGORIES = [
+  'news', 'tech', 'shopping', 'social', 'forums', 'education',
+  'entertainment', 'health', 'finance', 'travel', 'food', 'sports',
 ];
 
-// Maps category names to index ranges in the BROWSE_SITES array above.
-// This is how we filter sites when the user disables a category in Settings.
-const SITE_CATEGORIES = {
-  news:          { start: 0,   end: 16 },
-  tech:          { start: 16,  end: 30 },
-  shopping:      { start: 30,  end: 44 },
-  social:        { start: 44,  end: 56 },
-  forums:        { start: 56,  end: 64 },
-  education:     { start: 64,  end: 72 },
-  entertainment: { start: 72,  end: 83 },
-  health:        { start: 83,  end: 89 },
-  finance:       { start: 89,  end: 97 },
-  travel:        { start: 97,  end: 103 },
-  food:          { start: 103, end: 110 },
-  sports:        { start: 110, end: 118 },
-};
-
+const SITE_REGISTRY = [
+  // ── News ──
+  { url: 'https://www.cnn.com', categories: ['news'] },
+  { url: 'https://www.bbc.com', categories: ['news'] },
+  { url: 'https://www.reuters.com', categories: ['news'] },
+  { url: 'https://www.npr.org', categories: ['news'] },
+  { url: 'https://apnews.com', categories: ['news'] },
+  { url: 'https://www.nytimes.com', categories: ['news'] },
+  { url: 'https://www.washingtonpost.com', categories: ['news'] },
+  { url: 'https://www.theguardian.com', categories: ['news'] },
+  { url: 'https://www.foxnews.com', categories: ['news'] },
+  { url: 'https://www.aljazeera.com', categories: ['news'] },
+  { url: 'https://www.msnbc.com', categories: ['news'] },
+  { url: 'https://news.yahoo.com', categories: ['news'] },
+  { url: 'https://www.usatoday.com', categories: ['news'] },
+  { url: 'https://www.politico.com', categories: ['news'] },
+  { url: 'https://www.theatlantic.com', categories: ['news'] },
+  { url: 'https://www.axios.com', categories: ['news'] },
+  // ── Tech ──
+  { url: 'https://arstechnica.com', categories: ['tech'] },
+  { url: 'https://www.theverge.com', categories: ['tech'] },
+  { url: 'https://www.wired.com', categories: ['tech'] },
+  { url: 'https://techcrunch.com', categories: ['tech'] },
+  { url: 'https://news.ycombinator.com', categories: ['tech', 'forums'] },
+  { url: 'https://www.tomshardware.com', categories: ['tech'] },
+  { url: 'https://www.anandtech.com', categories: ['tech'] },
+  { url: 'https://www.engadget.com', categories: ['tech'] },
+  { url: 'https://www.zdnet.com', categories: ['tech'] },
+  { url: 'https://www.cnet.com', categories: ['tech', 'shopping'] },
+  { url: 'https://slashdot.org', categories: ['tech', 'forums'] },
+  { url: 'https://www.techmeme.com', categories: ['tech', 'news'] },
+  { url: 'https://www.macrumors.com', categories: ['tech'] },
+  { url: 'https://9to5mac.com', categories: ['tech'] },
+  // ── Shopping ──
+  { url: 'https://www.amazon.com', categories: ['shopping'] },
+  { url: 'https://www.ebay.com', categories: ['shopping'] },
+  { url: 'https://www.walmart.com', categories: ['shopping'] },
+  { url: 'https://www.target.com', categories: ['shopping'] },
+  { url: 'https://www.etsy.com', categories: ['shopping'] },
+  { url: 'https://www.bestbuy.com', categories: ['shopping', 'tech'] },
+  { url: 'https://www.wayfair.com', categories: ['shopping'] },
+  { url: 'https://www.homedepot.com', categories: ['shopping'] },
+  { url: 'https://www.ikea.com', categories: ['shopping'] },
+  { url: 'https://www.zappos.com', categories: ['shopping'] },
+  { url: 'https://www.costco.com', categories: ['shopping'] },
+  { url: 'https://www.lowes.com', categories: ['shopping'] },
+  { url: 'https://www.nordstrom.com', categories: ['shopping'] },
+  { url: 'https://www.macys.com', categories: ['shopping'] },
+  // ── Social Media ──
+  { url: 'https://www.reddit.com', categories: ['social', 'forums'] },
+  { url: 'https://www.youtube.com', categories: ['social', 'entertainment'], js: true },
+  { url: 'https://twitter.com', categories: ['social'], js: true, botWall: 'login' },
+  { url: 'https://www.facebook.com', categories: ['social'], js: true, botWall: 'login' },
+  { url: 'https://www.instagram.com', categories: ['social'], js: true, botWall: 'login' },
+  { url: 'https://www.linkedin.com', categories: ['social'], botWall: 'login' },
+  { url: 'https://www.pinterest.com', categories: ['social'], js: true },
+  { url: 'https://www.tiktok.com', categories: ['social', 'entertainment'], js: true },
+  { url: 'https://www.tumblr.com', categories: ['social'] },
+  { url: 'https://mastodon.social', categories: ['social'], js: true },
+  { url: 'https://www.threads.net', categories: ['social'], js: true, botWall: 'login' },
+  { url: 'https://bsky.app', categories: ['social'], js: true },
+  // ── Forums ──
+  { url: 'https://stackoverflow.com', categories: ['forums', 'tech'] },
+  { url: 'https://www.quora.com', categories: ['forums'], botWall: 'login' },
+  { url: 'https://www.reddit.com/r/technology', categories: ['forums', 'tech'] },
+  { url: 'https://www.reddit.com/r/science', categories: ['forums', 'education'] },
+  { url: 'https://www.reddit.com/r/worldnews', categories: ['forums', 'news'] },
+  { url: 'https://www.reddit.com/r/askscience', categories: ['forums', 'education'] },
+  { url: 'https://www.reddit.com/r/explainlikeimfive', categories: ['forums'] },
+  { url: 'https://www.reddit.com/r/personalfinance', categories: ['forums', 'finance'] },
+  { url: 'https://www.reddit.com/r/cooking', categories: ['forums', 'food'] },
+  { url: 'https://www.reddit.com/r/fitness', categories: ['forums', 'health'] },
+  // ── Education ──
+  { url: 'https://en.wikipedia.org/wiki/Special:Random', categories: ['education'] },
+  { url: 'https://www.khanacademy.org', categories: ['education'], js: true },
+  { url: 'https://www.coursera.org', categories: ['education'] },
+  { url: 'https://ocw.mit.edu', categories: ['education'] },
+  { url: 'https://arxiv.org', categories: ['education'] },
+  { url: 'https://www.edx.org', categories: ['education'] },
+  { url: 'https://www.britannica.com', categories: ['education'] },
+  { url: 'https://www.duolingo.com', categories: ['education'], js: true },
+  // ── Entertainment ──
+  { url: 'https://www.imdb.com', categories: ['entertainment'] },
+  { url: 'https://www.rottentomatoes.com', categories: ['entertainment'] },
+  { url: 'https://open.spotify.com', categories: ['entertainment'], js: true },
+  { url: 'https://www.twitch.tv', categories: ['entertainment'], js: true },
+  { url: 'https://www.netflix.com', categories: ['entertainment'], botWall: 'login' },
+  { url: 'https://letterboxd.com', categories: ['entertainment'] },
+  { url: 'https://www.metacritic.com', categories: ['entertainment'] },
+  { url: 'https://www.ign.com', categories: ['entertainment'] },
+  { url: 'https://www.gamespot.com', categories: ['entertainment'] },
+  { url: 'https://store.steampowered.com', categories: ['entertainment', 'shopping'] },
+  { url: 'https://www.goodreads.com', categories: ['entertainment'] },
+  // ── Health ──
+  { url: 'https://www.webmd.com', categories: ['health'], ads: true },
+  { url: 'https://www.mayoclinic.org', categories: ['health'] },
+  { url: 'https://www.healthline.com', categories: ['health'], ads: true },
+  { url: 'https://my.clevelandclinic.org', categories: ['health'] },
+  { url: 'https://medlineplus.gov', categories: ['health'] },
+  { url: 'https://www.nih.gov', categories: ['health'] },
+  // ── Finance ──
+  { url: 'https://finance.yahoo.com', categories: ['finance'] },
+  { url: 'https://www.bloomberg.com', categories: ['finance', 'news'] },
+  { url: 'https://www.marketwatch.com', categories: ['finance'] },
+  { url: 'https://www.investopedia.com', categories: ['finance', 'education'], ads: true },
+  { url: 'https://www.cnbc.com', categories: ['finance', 'news'] },
+  { url: 'https://www.fool.com', categories: ['finance'] },
+  { url: 'https://www.bankrate.com', categories: ['finance'] },
+  { url: 'https://www.nerdwallet.com', categories: ['finance'] },
+  // ── Travel ──
+  { url: 'https://www.tripadvisor.com', categories: ['travel'] },
+  { url: 'https://www.booking.com', categories: ['travel'] },
+  { url: 'https://www.airbnb.com', categories: ['travel'], js: true },
+  { url: 'https://www.expedia.com', categories: ['travel'] },
+  { url: 'https://www.lonelyplanet.com', categories: ['travel'] },
+  { url: 'https://www.kayak.com', categories: ['travel'], js: true },
+  // ── Food ──
+  { url: 'https://www.allrecipes.com', categories: ['food'], ads: true },
+  { url: 'https://www.seriouseats.com', categories: ['food'] },
+  { url: 'https://www.bonappetit.com', categories: ['food'] },
+  { url: 'https://www.foodnetwork.com', categories: ['food'] },
+  { url: 'https://www.epicurious.com', categories: ['food'] },
+  { url: 'https://www.simplyrecipes.com', categories: ['food'] },
+  { url: 'https://www.budgetbytes.com', categories: ['food'] },
+  // ── Sports ──
+  { url: 'https://www.espn.com', categories: ['sports'] },
+  { url: 'https://bleacherreport.com', categories: ['sports'] },
+  { url: 'https://theathletic.com', categories: ['sports'] },
+  { url: 'https://www.cbssports.com', categories: ['sports'] },
+  { url: 'https://www.si.com', categories: ['sports'] },
+  { url: 'https://www.nfl.com', categories: ['sports'] },
+  { url: 'https://www.nba.com', categories: ['sports'] },
+  { url: 'https://www.mlb.com', categories: ['sports'] },
+  // ── Ad-heavy reference sites (ad_click only) ──
+  { url: 'https://weather.com', categories: [], ads: true },
+  { url: 'https://www.dictionary.com', categories: [], ads: true },
+  { url: 'https://www.speedtest.net', categories: [], ads: true },
+  { url: 'https://www.accuweather.com', categories: [], ads: true },
+  { url: 'https://www.thesaurus.com', categories: [], ads: true },
+  { url: 'https://www.mapquest.com', categories: [], ads: true },
+  { url: 'https://www.about.com', categories: [], ads: true },
+  { url: 'https://www.ehow.com', categories: [], ads: true },
+  { url: 'https://www.answers.com', categories: [], ads: true },
+  { url: 'https://www.livestrong.com', categories: [], ads: true },
+  { url: 'https://www.howstuffworks.com', categories: [], ads: true },
+  { url: 'https://www.thespruce.com', categories: [], ads: true },
+  { url: 'https://www.wikihow.com', categories: [], ads: true },
+  { url: 'https://www.weather.gov', categories: [], ads: true },
+];
 
-// ─── Ad-Heavy Sites ─────────────────────────────────────────────────────────────
-// Sites known for heavy ad loads. Visiting these generates more sub-resource
-// requests (ad network calls, tracking pixels, etc.) which adds realistic noise
-// to your network traffic profile.
+// Registry entry by URL, for looking up a site's tags.
+const SITE_INFO = new Map(SITE_REGISTRY.map(s => [s.url, s]));
 
-const AD_SITES = [
-  'https://weather.com', 'https://www.allrecipes.com', 'https://www.webmd.com',
-  'https://www.dictionary.com', 'https://www.speedtest.net', 'https://www.accuweather.com',
-  'https://www.thesaurus.com', 'https://www.mapquest.com', 'https://www.about.com',
-  'https://www.ehow.com', 'https://www.answers.com', 'https://www.livestrong.com',
-  'https://www.investopedia.com', 'https://www.healthline.com', 'https://www.howstuffworks.com',
-  'https://www.thespruce.com', 'https://www.wikihow.com', 'https://www.weather.gov',
-];
+// Every built-in browse site, and every built-in ad-heavy site.
+const BROWSE_SITES = SITE_REGISTRY.filter(s => s.categories.length > 0).map(s => s.url);
+const AD_SITES = SITE_REGISTRY.filter(s => s.ads).map(s => s.url);
 
 
 // ─── Search Terms ───────────────────────────────────────────────────────────────
@@ -148,126 +281,667 @@ const AD_SITES = [
 // Designed to look like natural human searches — a mix of specific product
 // queries, how-to questions, and general curiosity. Covering many topics
 // makes the noise diverse and realistic.
+// Grouped by the site category they fit (see SITE_CATEGORIES) so a browsing
+// session can keep its searches on-topic; "general" holds everyday queries
+// that don't belong to any one category.
+
+const SEARCH_TERMS_BY_CATEGORY = {
+  tech: [
+    // Tech — programming & tutorials
+    'python tutorial for beginners', 'how to use git branches', 'javascript async await explained',
+    'best vs code extensions 2025', 'react vs vue comparison', 'docker compose tutorial',
+    'rust programming getting started', 'linux command line basics', 'sql join types explained',
+    'how to deploy a website', 'typescript generics guide', 'nginx reverse proxy setup',
+    'kubernetes for beginners', 'graphql vs rest api', 'web scraping with python',
+    'machine learning tutorial', 'css grid layout examples', 'bash scripting tutorial',
+    'how to set up a VPN server', 'raspberry pi home server projects',
+    // Tech — hardware & self-hosting
+    'best mechanical keyboard 2025', 'NAS build guide', 'home lab setup ideas',
+    'proxmox vs esxi comparison', 'best budget monitor for programming',
+    'custom PC build guide', 'home automation with home assistant',
+    'best wireless earbuds review', 'SSD vs NVMe speed comparison',
+    'synology vs qnap nas', 'unraid setup tutorial', 'plex media server setup',
+    'wireguard vpn configuration', 'pihole ad blocker setup', 'zigbee vs z-wave smart home',
+  ],
+  shopping: [
+    // Shopping — product reviews
+    'lodge cast iron skillet 12 inch review', 'best running shoes for flat feet',
+    'dyson v15 vs shark vacuum', 'instant pot recipes for beginners',
+    'best noise canceling headphones under 200', 'air fryer worth buying',
+    'standing desk converter review', 'best backpack for travel 2025',
+    'roomba j7 vs s9 comparison', 'best ergonomic office chair',
+    'yeti tumbler vs hydro flask', 'kindle paperwhite review 2025',
+    'best smart watch for android', 'electric toothbrush recommendations',
+    'best mattress for side sleepers', 'portable charger high capacity review',
+    'best wireless mouse for work', 'espresso machine under 500',
+    'dutch oven best brands', 'weighted blanket benefits and reviews',
+    // Shopping — deals & comparisons
+    'amazon prime day deals 2025', 'best black friday laptop deals',
+    'costco vs sams club membership worth it', 'refurbished macbook where to buy',
+    'cheapest grocery delivery service', 'best credit card cashback rewards',
+    'coupon stacking tips', 'is walmart plus worth it',
+  ],
+  news: [
+    // News & current events
+    'latest world news today', 'climate change latest research',
+    'space exploration news 2025', 'artificial intelligence regulations',
+    'renewable energy developments', 'supply chain issues update',
+    'housing market forecast 2025', 'electric vehicle adoption statistics',
+    'cybersecurity threats current', 'immigration policy changes',
+    'infrastructure bill status', 'pandemic preparedness plans',
+  ],
+  food: [
+    // Lifestyle — recipes
+    'best pizza dough recipe', 'sourdough starter guide', 'easy weeknight dinner ideas',
+    'slow cooker beef stew recipe', 'homemade pasta from scratch',
+    'thai green curry recipe authentic', 'chocolate chip cookie recipe chewy',
+    'meal prep ideas for the week', 'vegetarian protein sources',
+    'how to smoke a brisket', 'best banana bread recipe moist',
+    'ramen broth recipe from scratch', 'overnight oats combinations',
+    'how to make sushi at home', 'cast iron pizza recipe',
+  ],
+  sports: [
+    // Lifestyle — fitness & outdoors
+    'beginner workout plan at home', 'couch to 5k training plan',
+    'best stretches for lower back pain', 'yoga for beginners youtube',
+    'how many calories walking 10000 steps', 'strength training over 40',
+    'best hiking trails near me', 'camping gear essentials checklist',
+    'cycling training plan beginner', 'how to start rock climbing',
+  ],
+  general: [
+    // Lifestyle — home & garden
+    'how to fix a leaky faucet', 'best indoor plants low light',
+    'raised garden bed plans', 'how to paint a room like a pro',
+    'composting for beginners', 'when to plant tomatoes',
+    'bathroom renovation ideas budget', 'how to unclog a drain naturally',
+    'best lawn mower 2025', 'kitchen organization ideas',
+    'how to install laminate flooring', 'fence repair DIY',
+    // Automotive
+    'best electric cars 2025', 'how to change a tire step by step',
+    'oil change how often', 'car maintenance schedule by mileage',
+    'EV charging stations near me', 'tesla vs rivian comparison',
+    'used car buying checklist', 'best family SUV 2025',
+    'hybrid vs plug in hybrid difference', 'car insurance comparison tips',
+    'how to jump start a car', 'best dash cam review',
+    'tire pressure monitoring system', 'ceramic coating worth it',
+    // Misc natural queries
+    'why is the sky blue', 'how tall is mount everest',
+    'what time is it in tokyo', 'how to tie a tie',
+    'who won the game last night', 'weather this weekend',
+    'best restaurants downtown', 'how to remove a stain',
+    'convert celsius to fahrenheit', 'how to write a resume',
+    'dog breeds for apartments', 'cat behavior explained',
+    'best coffee beans whole bean', 'how to sharpen kitchen knives',
+    'what to watch tonight', 'diy gift ideas birthday',
+  ],
+  health: [
+    // Health
+    'headache causes and remedies', 'vitamin D deficiency symptoms',
+    'how to lower blood pressure naturally', 'benefits of intermittent fasting',
+    'best exercises for knee pain', 'how much sleep do adults need',
+    'anxiety coping techniques', 'iron rich foods list',
+    'probiotics benefits explained', 'how to improve posture',
+    'allergy season tips', 'meditation for beginners guide',
+    'stretches for desk workers', 'cold vs flu symptoms difference',
+    'healthy snack ideas', 'signs of dehydration',
+  ],
+  finance: [
+    // Finance
+    'how to start investing for beginners', 'roth ira vs traditional ira',
+    'best high yield savings accounts 2025', 'how to build credit score fast',
+    'budgeting methods comparison', '401k contribution limits 2025',
+    'index fund investing strategy', 'tax deductions commonly missed',
+    'emergency fund how much to save', 'refinance mortgage when worth it',
+    'cryptocurrency for beginners', 'student loan repayment strategies',
+    'side hustle ideas 2025', 'how compound interest works',
+    'estate planning basics', 'health insurance marketplace options',
+  ],
+  entertainment: [
+    // Entertainment
+    'best movies on netflix right now', 'top rated tv shows 2025',
+    'video game recommendations PC', 'best podcasts true crime',
+    'new book releases this month', 'board games for adults',
+    'best albums 2025', 'movie theater showtimes near me',
+    'upcoming video game releases', 'best documentaries streaming',
+    'indie music recommendations', 'book club suggestions fiction',
+    'best comedy specials streaming', 'classic films must watch list',
+  ],
+  education: [
+    // Education & learning
+    'how does the stock market work', 'history of the roman empire',
+    'quantum computing explained simply', 'how do vaccines work',
+    'climate change causes and effects', 'how to learn a new language fast',
+    'world war 2 timeline events', 'how does electricity work',
+    'evolution explained for beginners', 'how the internet works explained',
+    'philosophy introduction books', 'astronomy for beginners',
+    'how to write a research paper', 'critical thinking skills',
+    'statistics basics tutorial', 'geology interesting facts',
+  ],
+  travel: [
+    // Travel
+    'best travel destinations 2025', 'packing list international travel',
+    'cheapest flights search tips', 'best travel credit cards',
+    'national parks to visit', 'travel insurance worth it',
+    'japan travel itinerary 2 weeks', 'europe train travel tips',
+    'best beach vacations affordable', 'road trip planning app',
+    'how to avoid jet lag', 'passport renewal process',
+  ],
+};
+
+// Flat list of every term, used when a task has no topic to stick to.
+const SEARCH_TERMS = Object.values(SEARCH_TERMS_BY_CATEGORY).flat();
+
+// Users can add their own sites and search terms on top of the lists above
+// (or instead of them) — see "User Sites & Search Terms" below. Caps keep
+// an accidental huge import from bloating storage.
+const CUSTOM_SITES_MAX = 500;
+const CUSTOM_TERMS_MAX = 1000;
+const CUSTOM_TERM_MAX_LENGTH = 100;
+
+
+// ─── Query Templates ────────────────────────────────────────────────────────────
+// A fixed phrase list repeats often enough over weeks to fingerprint the
+// extension itself, so most queries are synthesized instead (see "Query
+// Synthesizer" below): a per-category template has its {slots} filled from
+// the vocabularies here, sometimes with a modifier tacked on. The fixed
+// terms above are still mixed in. {year} and {month} are filled from today's
+// date.
+
+const QUERY_TEMPLATES = {
+  tech: [
+    'how to {task} {software}', '{software} tutorial', '{device} {problem}',
+    'how to fix {device} {problem}', 'best {gadget} {year}', '{gadget} review',
+    '{brand} {gadget} vs {brand} {gadget}', '{software} vs {software}', 'is {brand} {gadget} worth it',
+  ],
+  shopping: [
+    'best {home_item} under ${price}', 'cheap {clothing}', '{home_item} sale', '{clothing} for women',
+    '{clothing} for men', '{home_item} reviews', 'best {clothing} {year}', '{home_item} black friday deals',
+  ],
+  food: [
+    '{dish} recipe', 'easy {dish}', 'what to make with {ingredient}', '{ingredient} recipes',
+    '{cuisine} food', 'best {cuisine} restaurant in {city}', 'healthy {dish}', '{dish} in the oven',
+  ],
+  health: [
+    '{symptom} causes', 'how to get rid of {symptom}', '{symptom} when to see a doctor',
+    '{health_topic} benefits', 'how much {health_topic} per day', 'is {health_topic} good for you',
+    '{symptom} home remedies',
+  ],
+  finance: [
+    'what is a {finance_topic}', '{finance_topic} explained', 'best {finance_topic} {year}',
+    '{finance_topic} vs {finance_topic}', 'how does {finance_topic} work', '{finance_topic} calculator',
+  ],
+  sports: [
+    '{team} score', '{team} schedule', '{team} vs {team}', '{sport} standings',
+    '{sport} trade rumors', '{team} injury report', '{sport} playoffs {year}',
+  ],
+  entertainment: [
+    'best {genre} movies {year}', 'new {genre} shows on {platform}', 'what to watch on {platform}',
+    'best {genre} series of all time', '{genre} books', 'is {platform} worth it',
+  ],
+  education: [
+    '{subject} for beginners', 'learn {subject} online', '{subject} practice problems',
+    'free {subject} course', 'how to study {subject}', '{subject} explained simply',
+  ],
+  travel: [
+    'things to do in {city}', 'cheap flights to {city}', 'best {place} in {city}',
+    '{city} weather in {month}', '{city} travel tips', '{city} vs {city} vacation', '{city} itinerary 3 days',
+  ],
+  news: [
+    '{news_topic} news', '{news_topic} latest', '{news_topic} today',
+    'what happened with {news_topic}', '{news_topic} update {year}',
+  ],
+  general: [
+    'how to {diy}', '{hobby} for beginners', 'best {hobby} gear', 'weather {city}',
+    'time in {city}', 'how to get into {hobby}', '{hobby} ideas',
+  ],
+};
+
+const QUERY_SLOTS = {
+  gadget: [
+    'laptop', 'mechanical keyboard', 'wireless earbuds', '4k monitor', 'mesh wifi router', 'smartwatch',
+    'portable ssd', 'webcam', 'gaming mouse', 'usb-c hub', 'tablet', 'noise cancelling headphones',
+    'e-reader', 'robot vacuum', 'smart thermostat',
+  ],
+  brand: ['apple', 'samsung', 'google', 'dell', 'lenovo', 'sony', 'logitech', 'asus', 'anker', 'bose'],
+  software: [
+    'python', 'javascript', 'excel', 'docker', 'git', 'linux', 'vs code', 'photoshop', 'react',
+    'sql', 'kubernetes', 'rust', 'google sheets',
+  ],
+  task: ['install', 'update', 'uninstall', 'speed up', 'reset', 'back up', 'set up', 'troubleshoot'],
+  device: ['iphone', 'android phone', 'windows 11', 'macbook', 'chromebook', 'router', 'printer', 'smart tv'],
+  problem: [
+    'wifi keeps disconnecting', 'battery draining fast', 'running slow', 'not charging',
+    'bluetooth not working', 'no sound', 'screen flickering',
+  ],
+  home_item: [
+    'couch', 'standing desk', 'mattress', 'air purifier', 'coffee maker', 'office chair', 'rug',
+    'bookshelf', 'air fryer', 'blender', 'vacuum',
+  ],
+  clothing: ['running shoes', 'rain jacket', 'jeans', 'hiking boots', 'winter coat', 'backpack', 'sunglasses'],
+  price: ['50', '100', '200', '300', '500'],
+  dish: [
+    'lasagna', 'chicken tikka masala', 'banana bread', 'pad thai', 'sourdough bread', 'beef stew',
+    'guacamole', 'french onion soup', 'shakshuka', 'chili', 'pho', 'carbonara',
+  ],
+  ingredient: [
+    'chicken thighs', 'chickpeas', 'salmon', 'tofu', 'ground beef', 'sweet potatoes', 'spinach',
+    'lentils', 'zucchini', 'leftover rice',
+  ],
+  cuisine: ['thai', 'mexican', 'italian', 'indian', 'korean', 'vietnamese', 'greek', 'ethiopian', 'japanese'],
+  symptom: [
+    'headache', 'lower back pain', 'sore throat', 'trouble sleeping', 'dry skin', 'heartburn',
+    'knee pain', 'seasonal allergies', 'fatigue',
+  ],
+  health_topic: [
+    'vitamin d', 'intermittent fasting', 'magnesium', 'meditation', 'stretching', 'protein',
+    'creatine', 'fiber', 'walking',
+  ],
+  finance_topic: [
+    'roth ira', 'index fund', 'high yield savings account', 'credit score', 'mortgage', '529 plan',
+    'hsa', 'capital gains tax', 'emergency fund', 'balance transfer card',
+  ],
+  team: [
+    'lakers', 'yankees', 'chiefs', 'warriors', 'red sox', 'cowboys', 'celtics', 'dodgers',
+    'man city', 'real madrid',
+  ],
+  sport: ['nba', 'nfl', 'mlb', 'premier league', 'nhl', 'formula 1', 'atp', 'pga tour'],
+  genre: ['sci-fi', 'horror', 'true crime', 'comedy', 'documentary', 'fantasy', 'thriller', 'anime'],
+  platform: ['netflix', 'hulu', 'max', 'disney plus', 'prime video', 'apple tv'],
+  subject: [
+    'calculus', 'statistics', 'spanish', 'organic chemistry', 'world history', 'economics',
+    'biology', 'philosophy', 'machine learning', 'music theory',
+  ],
+  city: [
+    'lisbon', 'tokyo', 'chicago', 'denver', 'barcelona', 'montreal', 'seattle', 'austin', 'rome',
+    'vancouver', 'mexico city', 'prague',
+  ],
+  place: ['hotels', 'hostels', 'restaurants', 'coffee shops', 'museums', 'hiking trails', 'beaches'],
+  news_topic: [
+    'election', 'inflation', 'interest rates', 'climate summit', 'supreme court', 'housing market',
+    'tech layoffs', 'heat wave', 'trade deal', 'wildfire',
+  ],
+  hobby: [
+    'gardening', 'woodworking', 'knitting', 'photography', 'birdwatching', 'chess', 'rock climbing',
+    'home brewing', 'pickleball', 'watercolor painting',
+  ],
+  diy: [
+    'fix a leaky faucet', 'paint a room', 'unclog a drain', 'hang shelves', 'replace a light switch',
+    'patch drywall', 'clean a dryer vent',
+  ],
+};
+
+// Modifiers appended to some queries. `categories` limits one to topics
+// where it reads naturally (omitted = any).
+const QUERY_SUFFIXES = [
+  { text: 'reddit',        weight: 3 },
+  { text: '{year}',        weight: 3 },
+  { text: 'near me',       weight: 2, categories: ['food', 'shopping', 'health', 'general'] },
+  { text: 'review',        weight: 1, categories: ['tech', 'shopping'] },
+  { text: 'for beginners', weight: 1, categories: ['tech', 'education', 'finance', 'general'] },
+  { text: 'cost',          weight: 1, categories: ['health', 'travel', 'shopping', 'education'] },
+];
+const QUERY_MODIFIER_CHANCE = 0.25;
+
+// Words a searcher adds when the first results weren't quite it (see
+// refineQuery()).
+const QUERY_REFINEMENTS = {
+  prefixes: ['best', 'easy', 'cheap', 'simple'],
+  suffixes: ['tips', 'explained', 'guide', 'alternatives', 'examples', 'ideas', 'problems', 'pros and cons'],
+};
+const QUERY_CONNECTORS = ['vs', 'in', 'for', 'to', 'with', 'on', 'of', 'a', 'the', 'and', 'under', 'near', 'when'];
+
+// Real queries are mostly 2–4 words with a long tail. Relative weights by
+// word count; the synthesizer picks the candidate closest to a sampled length.
+const QUERY_LENGTH_WEIGHTS = { 1: 6, 2: 20, 3: 26, 4: 20, 5: 12, 6: 8, 7: 5, 8: 3 };
+
+// Share of candidates drawn from the fixed term lists (and the user's own
+// terms) rather than templates, how many candidates to weigh per query,
+// how often a typo slips in, and how many recent queries to avoid repeating.
+const QUERY_CORPUS_SHARE = 0.35;
+const QUERY_CANDIDATES = 6;
+const QUERY_TYPO_CHANCE = 0.05;
+const QUERY_HISTORY_SIZE = 300;
+
+
+// ─── Personas ───────────────────────────────────────────────────────────────────
+// Uniformly random noise looks like nobody, and a profile that looks like
+// nobody is easy to throw away. A persona is a believable fake person whose
+// noise stays consistent for days at a time:
+//   categories — relative weights for which site categories they browse
+//   themes     — relative weights for what they search (SEARCH_TERMS_BY_CATEGORY keys)
+//   engines    — multipliers on the user's engine weights (unlisted = 1)
+//   hours      — the local hours they're usually online; outside them the
+//                rate drops to PERSONA_OFF_HOURS_FACTOR. `end` < `start` runs
+//                past midnight.
+
+const PERSONAS = [
+  {
+    id: 'parent', name: 'Busy Parent',
+    categories: { food: 4, shopping: 3, health: 3, news: 2, education: 1, travel: 1 },
+    themes: { food: 4, shopping: 3, health: 3, general: 2, education: 1 },
+    engines: { google: 2, bing: 1.5 },
+    hours: { start: 6, end: 22 },
+  },
+  {
+    id: 'techie', name: 'Tech Enthusiast',
+    categories: { tech: 5, forums: 3, entertainment: 2, shopping: 1, news: 1 },
+    themes: { tech: 5, entertainment: 2, shopping: 1, general: 1 },
+    engines: { duckduckgo: 3, google: 1 },
+    hours: { start: 10, end: 2 },
+  },
+  {
+    id: 'retiree', name: 'Retiree',
+    categories: { news: 4, health: 3, travel: 2, finance: 2, food: 2 },
+    themes: { health: 3, travel: 3, news: 2, finance: 2, food: 1 },
+    engines: { bing: 3, yahoo: 3 },
+    hours: { start: 6, end: 21 },
+  },
+  {
+    id: 'student', name: 'College Student',
+    categories: { education: 4, social: 3, entertainment: 3, forums: 2, food: 1 },
+    themes: { education: 5, entertainment: 2, food: 1, general: 1 },
+    engines: { google: 3 },
+    hours: { start: 11, end: 3 },
+  },
+  {
+    id: 'sports_fan', name: 'Sports Fan',
+    categories: { sports: 5, news: 2, entertainment: 2, food: 1, shopping: 1 },
+    themes: { sports: 5, food: 1, entertainment: 1, general: 1 },
+    engines: { google: 2, bing: 1.5 },
+    hours: { start: 8, end: 24 },
+  },
+  {
+    id: 'investor', name: 'Investor',
+    categories: { finance: 5, news: 3, tech: 2, travel: 1 },
+    themes: { finance: 5, news: 2, travel: 1, tech: 1 },
+    engines: { google: 2, duckduckgo: 1.5 },
+    hours: { start: 5, end: 20 },
+  },
+];
 
-const SEARCH_TERMS = [
-  // Tech — programming & tutorials
-  'python tutorial for beginners', 'how to use git branches', 'javascript async await explained',
-  'best vs code extensions 2025', 'react vs vue comparison', 'docker compose tutorial',
-  'rust programming getting started', 'linux command line basics', 'sql join types explained',
-  'how to deploy a website', 'typescript generics guide', 'nginx reverse proxy setup',
-  'kubernetes for beginners', 'graphql vs rest api', 'web scraping with python',
-  'machine learning tutorial', 'css grid layout examples', 'bash scripting tutorial',
-  'how to set up a VPN server', 'raspberry pi home server projects',
-  // Tech — hardware & self-hosting
-  'best mechanical keyboard 2025', 'NAS build guide', 'home lab setup ideas',
-  'proxmox vs esxi comparison', 'best budget monitor for programming',
-  'custom PC build guide', 'home automation with home assistant',
-  'best wireless earbuds review', 'SSD vs NVMe speed comparison',
-  'synology vs qnap nas', 'unraid setup tutorial', 'plex media server setup',
-  'wireguard vpn configuration', 'pihole ad blocker setup', 'zigbee vs z-wave smart home',
-  // Shopping — product reviews
-  'lodge cast iron skillet 12 inch review', 'best running shoes for flat feet',
-  'dyson v15 vs shark vacuum', 'instant pot recipes for beginners',
-  'best noise canceling headphones under 200', 'air fryer worth buying',
-  'standing desk converter review', 'best backpack for travel 2025',
-  'roomba j7 vs s9 comparison', 'best ergonomic office chair',
-  'yeti tumbler vs hydro flask', 'kindle paperwhite review 2025',
-  'best smart watch for android', 'electric toothbrush recommendations',
-  'best mattress for side sleepers', 'portable charger high capacity review',
-  'best wireless mouse for work', 'espresso machine under 500',
-  'dutch oven best brands', 'weighted blanket benefits and reviews',
-  // Shopping — deals & comparisons
-  'amazon prime day deals 2025', 'best black friday laptop deals',
-  'costco vs sams club membership worth it', 'refurbished macbook where to buy',
-  'cheapest grocery delivery service', 'best credit card cashback rewards',
-  'coupon stacking tips', 'is walmart plus worth it',
-  // News & current events
-  'latest world news today', 'climate change latest research',
-  'space exploration news 2025', 'artificial intelligence regulations',
-  'renewable energy developments', 'supply chain issues update',
-  'housing market forecast 2025', 'electric vehicle adoption statistics',
-  'cybersecurity threats current', 'immigration policy changes',
-  'infrastructure bill status', 'pandemic preparedness plans',
-  // Lifestyle — recipes
-  'best pizza dough recipe', 'sourdough starter guide', 'easy weeknight dinner ideas',
-  'slow cooker beef stew recipe', 'homemade pasta from scratch',
-  'thai green curry recipe authentic', 'chocolate chip cookie recipe chewy',
-  'meal prep ideas for the week', 'vegetarian protein sources',
-  'how to smoke a brisket', 'best banana bread recipe moist',
-  'ramen broth recipe from scratch', 'overnight oats combinations',
-  'how to make sushi at home', 'cast iron pizza recipe',
-  // Lifestyle — fitness & outdoors
-  'beginner workout plan at home', 'couch to 5k training plan',
-  'best stretches for lower back pain', 'yoga for beginners youtube',
-  'how many calories walking 10000 steps', 'strength training over 40',
-  'best hiking trails near me', 'camping gear essentials checklist',
-  'cycling training plan beginner', 'how to start rock climbing',
-  // Lifestyle — home & garden
-  'how to fix a leaky faucet', 'best indoor plants low light',
-  'raised garden bed plans', 'how to paint a room like a pro',
-  'composting for beginners', 'when to plant tomatoes',
-  'bathroom renovation ideas budget', 'how to unclog a drain naturally',
-  'best lawn mower 2025', 'kitchen organization ideas',
-  'how to install laminate flooring', 'fence repair DIY',
-  // Health
-  'headache causes and remedies', 'vitamin D deficiency symptoms',
-  'how to lower blood pressure naturally', 'benefits of intermittent fasting',
-  'best exercises for knee pain', 'how much sleep do adults need',
-  'anxiety coping techniques', 'iron rich foods list',
-  'probiotics benefits explained', 'how to improve posture',
-  'allergy season tips', 'meditation for beginners guide',
-  'stretches for desk workers', 'cold vs flu symptoms difference',
-  'healthy snack ideas', 'signs of dehydration',
-  // Finance
-  'how to start investing for beginners', 'roth ira vs traditional ira',
-  'best high yield savings accounts 2025', 'how to build credit score fast',
-  'budgeting methods comparison', '401k contribution limits 2025',
-  'index fund investing strategy', 'tax deductions commonly missed',
-  'emergency fund how much to save', 'refinance mortgage when worth it',
-  'cryptocurrency for beginners', 'student loan repayment strategies',
-  'side hustle ideas 2025', 'how compound interest works',
-  'estate planning basics', 'health insurance marketplace options',
-  // Entertainment
-  'best movies on netflix right now', 'top rated tv shows 2025',
-  'video game recommendations PC', 'best podcasts true crime',
-  'new book releases this month', 'board games for adults',
-  'best albums 2025', 'movie theater showtimes near me',
-  'upcoming video game releases', 'best documentaries streaming',
-  'indie music recommendations', 'book club suggestions fiction',
-  'best comedy specials streaming', 'classic films must watch list',
-  // Education & learning
-  'how does the stock market work', 'history of the roman empire',
-  'quantum computing explained simply', 'how do vaccines work',
-  'climate change causes and effects', 'how to learn a new language fast',
-  'world war 2 timeline events', 'how does electricity work',
-  'evolution explained for beginners', 'how the internet works explained',
-  'philosophy introduction books', 'astronomy for beginners',
-  'how to write a research paper', 'critical thinking skills',
-  'statistics basics tutorial', 'geology interesting facts',
-  // Automotive
-  'best electric cars 2025', 'how to change a tire step by step',
-  'oil change how often', 'car maintenance schedule by mileage',
-  'EV charging stations near me', 'tesla vs rivian comparison',
-  'used car buying checklist', 'best family SUV 2025',
-  'hybrid vs plug in hybrid difference', 'car insurance comparison tips',
-  'how to jump start a car', 'best dash cam review',
-  'tire pressure monitoring system', 'ceramic coating worth it',
-  // Travel
-  'best travel destinations 2025', 'packing list international travel',
-  'cheapest flights search tips', 'best travel credit cards',
-  'national parks to visit', 'travel insurance worth it',
-  'japan travel itinerary 2 weeks', 'europe train travel tips',
-  'best beach vacations affordable', 'road trip planning app',
-  'how to avoid jet lag', 'passport renewal process',
-  // Misc natural queries
-  'why is the sky blue', 'how tall is mount everest',
-  'what time is it in tokyo', 'how to tie a tie',
-  'who won the game last night', 'weather this weekend',
-  'best restaurants downtown', 'how to remove a stain',
-  'convert celsius to fahrenheit', 'how to write a resume',
-  'dog breeds for apartments', 'cat behavior explained',
-  'best coffee beans whole bean', 'how to sharpen kitchen knives',
-  'what to watch tonight', 'diy gift ideas birthday',
+// Persona settings. `pinned` fixes one persona (by id); otherwise a new
+// persona takes over every `rotationDays` days.
+const DEFAULT_PERSONA_SETTINGS = { enabled: false, pinned: null, rotationDays: 7 };
+const PERSONA_ROTATION_DAYS = [1, 3, 7, 14, 30];
+const PERSONA_OFF_HOURS_FACTOR = 0.15;
+
+
+// ─── Locale Packs ───────────────────────────────────────────────────────────────
+// The built-in lists above are American English, which stands out on a
+// connection in Berlin or São Paulo. A locale pack swaps in local sites and
+// search terms and tells each engine which language and region to answer in:
+//   sites       — browse sites per SITE_CATEGORIES entry; categories a pack
+//                 leaves out (and packs without `sites`) use SITE_REGISTRY
+//   adSites     — replaces the registry's ad-heavy sites when present
+//   terms       — search terms per SEARCH_TERMS_BY_CATEGORY key. Packs
+//                 without them use the built-in terms AND the English query
+//                 templates; packs with them use only their own terms, since
+//                 the templates can't be translated word by word. {year}
+//                 is filled in as in QUERY_TEMPLATES
+//   hosts       — engine / SITE_SEARCHES id → local hostname
+//   params      — engine / SITE_SEARCHES id → query params to add
+// Users pick one or more packs with weights in Settings; every task draws
+// from one pack (see pickLocale()).
+
+const LOCALE_PACKS = [
+  {
+    id: 'en-US', name: 'English (US)',
+    hosts: {},
+    params: {
+      google: { hl: 'en', gl: 'us' }, bing: { setlang: 'en', cc: 'us' },
+      duckduckgo: { kl: 'us-en' }, qwant: { locale: 'en_US' },
+    },
+  },
+  {
+    id: 'en-GB', name: 'English (UK)',
+    sites: {
+      news:          ['https://www.bbc.co.uk/news', 'https://www.theguardian.com/uk', 'https://www.independent.co.uk',
+                      'https://news.sky.com', 'https://www.telegraph.co.uk'],
+      tech:          ['https://www.techradar.com', 'https://www.theregister.com', 'https://www.trustedreviews.com',
+                      'https://www.pocket-lint.com'],
+      shopping:      ['https://www.amazon.co.uk', 'https://www.argos.co.uk', 'https://www.johnlewis.com',
+                      'https://www.currys.co.uk', 'https://www.ebay.co.uk'],
+      forums:        ['https://www.mumsnet.com/talk', 'https://www.reddit.com/r/unitedkingdom',
+                      'https://forums.moneysavingexpert.com'],
+      education:     ['https://www.bbc.co.uk/bitesize', 'https://www.open.ac.uk', 'https://www.futurelearn.com'],
+      entertainment: ['https://www.radiotimes.com', 'https://www.digitalspy.com', 'https://www.empireonline.com'],
+      health:        ['https://www.nhs.uk', 'https://patient.info', 'https://www.bupa.co.uk'],
+      finance:       ['https://www.moneysavingexpert.com', 'https://www.thisismoney.co.uk', 'https://www.ft.com'],
+      travel:        ['https://www.nationalrail.co.uk', 'https://www.skyscanner.net', 'https://www.visitbritain.com'],
+      food:          ['https://www.bbcgoodfood.com', 'https://www.jamieoliver.com', 'https://www.deliciousmagazine.co.uk'],
+      sports:        ['https://www.bbc.co.uk/sport', 'https://www.skysports.com', 'https://www.theguardian.com/uk/sport'],
+    },
+    adSites: ['https://www.dailymail.co.uk', 'https://www.mirror.co.uk', 'https://www.express.co.uk',
+              'https://www.thesun.co.uk'],
+    hosts: {
+      yahoo: 'uk.search.yahoo.com', amazon: 'www.amazon.co.uk', ebay: 'www.ebay.co.uk',
+    },
+    params: {
+      google: { hl: 'en-GB', gl: 'uk' }, bing: { setlang: 'en-GB', cc: 'gb' },
+      duckduckgo: { kl: 'uk-en' }, qwant: { locale: 'en_GB' }, youtube: { gl: 'GB' },
+    },
+  },
+  {
+    id: 'de-DE', name: 'Deutsch',
+    sites: {
+      news:          ['https://www.spiegel.de', 'https://www.zeit.de', 'https://www.faz.net',
+                      'https://www.sueddeutsche.de', 'https://www.tagesschau.de'],
+      tech:          ['https://www.heise.de', 'https://www.golem.de', 'https://www.chip.de', 'https://www.netzwelt.de'],
+      shopping:      ['https://www.amazon.de', 'https://www.otto.de', 'https://www.zalando.de',
+                      'https://www.mediamarkt.de', 'https://www.idealo.de'],
+      forums:        ['https://www.gutefrage.net', 'https://www.computerbase.de/forum/', 'https://www.reddit.com/r/de'],
+      education:     ['https://de.wikipedia.org', 'https://www.duden.de', 'https://www.leo.org',
+                      'https://www.planet-wissen.de'],
+      entertainment: ['https://www.kino.de', 'https://www.moviepilot.de', 'https://www.ardmediathek.de'],
+      health:        ['https://www.apotheken-umschau.de', 'https://www.netdoktor.de', 'https://www.onmeda.de'],
+      finance:       ['https://www.finanzen.net', 'https://www.handelsblatt.com', 'https://www.finanztip.de'],
+      travel:        ['https://www.bahn.de', 'https://www.holidaycheck.de', 'https://www.urlaubsguru.de'],
+      food:          ['https://www.chefkoch.de', 'https://www.lecker.de', 'https://www.essen-und-trinken.de'],
+      sports:        ['https://www.kicker.de', 'https://www.sport1.de', 'https://www.sportschau.de',
+                      'https://www.transfermarkt.de'],
+    },
+    adSites: ['https://www.bild.de', 'https://www.t-online.de', 'https://web.de', 'https://www.gmx.net'],
+    terms: {
+      tech: [
+        'handy akku hält nicht lange', 'beste kopfhörer {year}', 'laptop für studenten', 'wlan verstärker test',
+        'windows 11 update probleme', 'iphone oder android', 'glasfaser anbieter vergleich',
+      ],
+      shopping: [
+        'sneaker sale', 'waschmaschine test', 'kaffeevollautomat angebot', 'winterjacke damen',
+        'gutschein code', 'fahrrad kaufen', 'staubsauger roboter test',
+      ],
+      news: [
+        'nachrichten heute', 'bundestag aktuell', 'wetter morgen', 'strompreis aktuell',
+        'bahn streik', 'benzinpreis heute',
+      ],
+      food: [
+        'spätzle rezept', 'kartoffelsalat schwäbisch', 'schnelle gerichte', 'apfelstrudel rezept',
+        'vegane rezepte einfach', 'brot backen ohne hefe', 'käsekuchen rezept',
+      ],
+      sports: [
+        'bundesliga tabelle', 'fc bayern ergebnis', 'dfb pokal', 'champions league spielplan',
+        'formel 1 ergebnisse', 'handball em',
+      ],
+      general: [
+        'öffnungszeiten', 'feiertage {year}', 'wie lange kochen eier', 'geschenkideen für männer',
+        'übersetzer englisch deutsch', 'zeitumstellung wann',
+      ],
+      health: [
+        'kopfschmerzen ursachen', 'erkältung hausmittel', 'rückenschmerzen übungen', 'vitamin d mangel',
+        'schlafprobleme was tun', 'hausarzt in der nähe',
+      ],
+      finance: [
+        'etf sparplan', 'tagesgeld zinsen vergleich', 'steuererklärung frist', 'girokonto kostenlos',
+        'rente berechnen', 'inflation aktuell',
+      ],
+      entertainment: [
+        'tatort heute', 'serien empfehlungen', 'kinoprogramm', 'neue filme netflix',
+        'konzerte in der nähe', 'buch bestseller',
+      ],
+      education: [
+        'englisch lernen', 'bruchrechnen erklärt', 'ausbildung oder studium', 'bafög antrag',
+        'duden rechtschreibung', 'referat tipps',
+      ],
+      travel: [
+        'urlaub last minute', 'ostsee ferienwohnung', 'deutschlandticket', 'flug nach mallorca',
+        'städtereise wien', 'wandern alpen',
+      ],
+    },
+    hosts: {
+      yahoo: 'de.search.yahoo.com', amazon: 'www.amazon.de', ebay: 'www.ebay.de', wikipedia: 'de.wikipedia.org',
+    },
+    params: {
+      google: { hl: 'de', gl: 'de' }, bing: { setlang: 'de', cc: 'de' },
+      duckduckgo: { kl: 'de-de' }, qwant: { locale: 'de_DE' }, youtube: { hl: 'de', gl: 'DE' },
+    },
+  },
+  {
+    id: 'pt-BR', name: 'Português (Brasil)',
+    sites: {
+      news:          ['https://g1.globo.com', 'https://www.folha.uol.com.br', 'https://www.estadao.com.br',
+                      'https://www.cnnbrasil.com.br'],
+      tech:          ['https://www.tecmundo.com.br', 'https://olhardigital.com.br', 'https://tecnoblog.net',
+                      'https://canaltech.com.br'],
+      shopping:      ['https://www.mercadolivre.com.br', 'https://www.amazon.com.br', 'https://www.magazineluiza.com.br',
+                      'https://www.casasbahia.com.br'],
+      forums:        ['https://www.reddit.com/r/brasil', 'https://www.clubedohardware.com.br/forums/'],
+      education:     ['https://pt.wikipedia.org', 'https://brasilescola.uol.com.br', 'https://www.todamateria.com.br',
+                      'https://www.significados.com.br'],
+      entertainment: ['https://www.omelete.com.br', 'https://www.adorocinema.com', 'https://gshow.globo.com'],
+      health:        ['https://drauziovarella.uol.com.br', 'https://www.tuasaude.com', 'https://www.minhavida.com.br'],
+      finance:       ['https://www.infomoney.com.br', 'https://valor.globo.com', 'https://br.investing.com'],
+      travel:        ['https://www.melhoresdestinos.com.br', 'https://www.viajenaviagem.com', 'https://www.decolar.com'],
+      food:          ['https://www.tudogostoso.com.br', 'https://receitas.globo.com', 'https://panelinha.com.br'],
+      sports:        ['https://ge.globo.com', 'https://www.lance.com.br', 'https://www.espn.com.br'],
+    },
+    adSites: ['https://www.uol.com.br', 'https://www.terra.com.br', 'https://www.r7.com', 'https://www.metropoles.com'],
+    terms: {
+      tech: [
+        'celular bom e barato', 'melhor notebook custo benefício', 'wifi caindo toda hora', 'como formatar pc',
+        'fone bluetooth bom', 'iphone ou samsung',
+      ],
+      shopping: [
+        'black friday ofertas', 'geladeira frost free promoção', 'tênis de corrida', 'cupom de desconto',
+        'air fryer qual comprar', 'frete grátis',
+      ],
+      news: [
+        'notícias de hoje', 'previsão do tempo', 'dólar hoje', 'eleições resultado',
+        'preço da gasolina', 'trânsito agora',
+      ],
+      food: [
+        'receita de bolo de cenoura', 'feijoada completa', 'pão de queijo caseiro', 'brigadeiro de panela',
+        'strogonoff de frango', 'receitas fáceis para o jantar', 'moqueca baiana',
+      ],
+      sports: [
+        'tabela do brasileirão', 'flamengo ao vivo', 'jogos de hoje', 'libertadores resultado',
+        'palmeiras x corinthians', 'seleção brasileira convocação',
+      ],
+      general: [
+        'feriados {year}', 'horário de funcionamento', 'como tirar segunda via', 'presente de aniversário',
+        'tradutor inglês português', 'que dia é hoje',
+      ],
+      health: [
+        'dor de cabeça constante', 'remédio para gripe', 'sintomas de dengue', 'como dormir melhor',
+        'exercícios para dor nas costas', 'vitamina d para que serve',
+      ],
+      finance: [
+        'tesouro direto', 'cdb ou poupança', 'imposto de renda prazo', 'como sair das dívidas',
+        'pix limite noturno', 'cartão de crédito sem anuidade',
+      ],
+      entertainment: [
+        'novela das nove', 'séries netflix lançamentos', 'filmes em cartaz', 'bbb hoje',
+        'show em são paulo', 'livros mais vendidos',
+      ],
+      education: [
+        'enem inscrição', 'como fazer redação', 'regra de três', 'curso gratuito online',
+        'sisu nota de corte', 'inglês para iniciantes',
+      ],
+      travel: [
+        'passagem aérea barata', 'pousada em paraty', 'o que fazer em gramado', 'praias do nordeste',
+        'viagem para portugal', 'hotel fazenda',
+      ],
+    },
+    hosts: {
+      yahoo: 'br.search.yahoo.com', amazon: 'www.amazon.com.br', wikipedia: 'pt.wikipedia.org',
+    },
+    params: {
+      google: { hl: 'pt-BR', gl: 'br' }, bing: { setlang: 'pt-BR', cc: 'br' },
+      duckduckgo: { kl: 'br-pt' }, qwant: { locale: 'pt_PT' }, youtube: { hl: 'pt', gl: 'BR' },
+    },
+  },
+  {
+    id: 'fr-FR', name: 'Français',
+    sites: {
+      news:          ['https://www.lemonde.fr', 'https://www.lefigaro.fr', 'https://www.liberation.fr',
+                      'https://www.francetvinfo.fr'],
+      tech:          ['https://www.01net.com', 'https://www.numerama.com', 'https://www.frandroid.com', 'https://www.clubic.com'],
+      shopping:      ['https://www.amazon.fr', 'https://www.fnac.com', 'https://www.cdiscount.com',
+                      'https://www.leboncoin.fr', 'https://www.darty.com'],
+      forums:        ['https://forum.hardware.fr', 'https://www.reddit.com/r/france', 'https://forums.commentcamarche.net'],
+      education:     ['https://fr.wikipedia.org', 'https://www.larousse.fr', 'https://www.kartable.fr'],
+      entertainment: ['https://www.allocine.fr', 'https://www.telerama.fr', 'https://www.premiere.fr'],
+      health:        ['https://www.doctissimo.fr', 'https://www.passeportsante.net', 'https://sante.journaldesfemmes.fr'],
+      finance:       ['https://www.boursorama.com', 'https://www.lesechos.fr', 'https://www.capital.fr'],
+      travel:        ['https://www.routard.com', 'https://www.sncf-connect.com', 'https://www.tripadvisor.fr'],
+      food:          ['https://www.marmiton.org', 'https://www.750g.com', 'https://www.cuisineaz.com'],
+      sports:        ['https://www.lequipe.fr', 'https://www.eurosport.fr', 'https://rmcsport.bfmtv.com'],
+    },
+    adSites: ['https://www.journaldesfemmes.fr', 'https://www.ouest-france.fr', 'https://www.linternaute.com',
+              'https://www.20minutes.fr'],
+    terms: {
+      tech: [
+        'meilleur smartphone {year}', 'ordinateur portable pas cher', 'wifi qui se déconnecte', 'forfait mobile comparatif',
+        'écouteurs sans fil test', 'mettre à jour windows',
+      ],
+      shopping: [
+        'soldes été', 'aspirateur robot avis', 'code promo', 'baskets homme',
+        'machine à café grain', 'livraison gratuite',
+      ],
+      news: [
+        'actualités du jour', 'météo demain', 'grève sncf', 'prix carburant',
+        'assemblée nationale', 'résultats élections',
+      ],
+      food: [
+        'recette quiche lorraine', 'boeuf bourguignon', 'crêpes recette facile', 'ratatouille',
+        'gâteau au chocolat moelleux', 'idée repas rapide',
+      ],
+      sports: [
+        'classement ligue 1', 'psg résultat', 'tour de france étape', 'roland garros programme',
+        'xv de france', 'match ce soir',
+      ],
+      general: [
+        'jours fériés {year}', 'horaires ouverture', 'idée cadeau anniversaire', 'traduction anglais français',
+        'changement d\'heure', 'comment faire une lettre de motivation',
+      ],
+      health: [
+        'mal de dos que faire', 'symptômes grippe', 'médecin de garde', 'insomnie solution',
+        'vitamine d carence', 'rhume remède naturel',
+      ],
+      finance: [
+        'livret a taux', 'assurance vie avis', 'impôts date limite', 'simulation prêt immobilier',
+        'banque en ligne', 'bourse aujourd\'hui',
+      ],
+      entertainment: [
+        'films au cinéma', 'séries à voir', 'programme télé ce soir', 'concerts paris',
+        'prix goncourt', 'netflix nouveautés',
+      ],
+      education: [
+        'bac philo sujets', 'conjugaison', 'parcoursup dates', 'cours anglais gratuit',
+        'exposé histoire', 'orthographe règles',
+      ],
+      travel: [
+        'week end pas cher', 'gîte bretagne', 'que faire à lyon', 'billet train pas cher',
+        'vacances côte d\'azur', 'randonnée alpes',
+      ],
+    },
+    hosts: {
+      yahoo: 'fr.search.yahoo.com', amazon: 'www.amazon.fr', ebay: 'www.ebay.fr', wikipedia: 'fr.wikipedia.org',
+    },
+    params: {
+      google: { hl: 'fr', gl: 'fr' }, bing: { setlang: 'fr', cc: 'fr' },
+      duckduckgo: { kl: 'fr-fr' }, qwant: { locale: 'fr_FR' }, youtube: { hl: 'fr', gl: 'FR' },
+    },
+  },
 ];
 
 
@@ -276,16 +950,35 @@ const SEARCH_TERMS = [
 // Task type weights — controls the probability of each noise task type.
 // These are relative weights (don't need to sum to 100). Users can adjust
 // these in the Settings tab using the task mix sliders.
-const DEFAULT_TASK_WEIGHTS = { search: 45, browse: 40, ad_click: 15 };
+const DEFAULT_TASK_WEIGHTS = { search: 40, browse: 35, site_search: 10, ad_click: 15 };
 
 // How long (in ms) to keep a noise tab open before closing it.
 // Each task type has a [min, max] range — actual delay is randomized within.
 // This simulates how long a real person might spend on each type of page.
-const DELAY_RANGES = {
-  search:   [5000,  15000],  // 5–15 seconds on search results
-  browse:   [8000,  25000],  // 8–25 seconds browsing a page
-  ad_click: [6000,  12000],  // 6–12 seconds on ad-heavy sites
+// These are the defaults; users can edit them (see getDelayRanges()) within
+// DELAY_MIN_MS–DELAY_MAX_MS.
+const DEFAULT_DELAY_RANGES = {
+  search:      [5000,  15000],  // 5–15 seconds on search results
+  browse:      [8000,  25000],  // 8–25 seconds browsing a page
+  site_search: [6000,  18000],  // 6–18 seconds on a site's own results
+  ad_click:    [6000,  12000],  // 6–12 seconds on ad-heavy sites
 };
+const DELAY_MIN_MS = 2000;
+const DELAY_MAX_MS = 300000; // 5 minutes
+
+// Site category weights — relative odds of each SITE_CATEGORIES category
+// being picked for a browse task (0 turns a category off). Every category
+// starts at DEFAULT_CATEGORY_WEIGHT; the Settings tab has a slider for each.
+const DEFAULT_CATEGORY_WEIGHT = 50;
+const CATEGORY_WEIGHT_MAX = 100;
+
+// Search chains — like a real searcher, a search task sometimes rewrites its
+// query (and now and then rewrites it again) or goes on to the next page of
+// results, all in the same tab. Each step dwells for its own search delay.
+const SEARCH_REFINE_CHANCE = 0.3;
+const SEARCH_REFINE_AGAIN_CHANCE = 0.35;
+const SEARCH_NEXT_PAGE_CHANCE = 0.15;
+const SEARCH_RESULTS_PER_PAGE = 10;
 
 // Poisson intensity levels — lambda is the average number of tasks per MINUTE.
 // Higher lambda = more frequent noise. The Poisson process uses exponential
@@ -295,8 +988,153 @@ const INTENSITY_LEVELS = {
   medium:   { lambda: 1.0,  label: 'Med (~60/hr)' },    // ~one task per minute
   high:     { lambda: 2.5,  label: 'High (~150/hr)' },   // ~one task every 24 seconds
   paranoid: { lambda: 5.0,  label: 'Max (~300/hr)' },    // ~one task every 12 seconds
+  adaptive: { lambda: null, label: 'Auto (follows your browsing)' }, // derived — see adaptiveRate()
+  custom:   { lambda: null, label: 'Custom' },           // user-entered tasks/hour — see resolveLambda()
+};
+
+// Rate for the "custom" level until the user enters one, and the highest
+// rate any user-entered value (custom, adaptive bounds) may ask for.
+const DEFAULT_CUSTOM_RATE_PER_HOUR = 60;
+const MAX_RATE_PER_HOUR = 600;
+
+// Adaptive intensity — instead of a fixed lambda, noise follows the user's
+// own browsing: `ratio` noise tasks per real page load, averaged over the
+// last ADAPTIVE_WINDOW_MINUTES, clamped to [floorPerHour, ceilingPerHour].
+// The floor keeps some cover traffic going while the user is away; the
+// ceiling stops a burst of real tabs from turning into a flood.
+const DEFAULT_ADAPTIVE_SETTINGS = { ratio: 1, floorPerHour: 6, ceilingPerHour: 180 };
+const ADAPTIVE_WINDOW_MINUTES = 15;
+const ADAPTIVE_RATIO_MAX = 10;
+
+// Locale packs — which LOCALE_PACKS are used and how much. Only US English
+// until the user picks others; weights work like engine weights.
+const DEFAULT_LOCALE_SETTINGS = Object.fromEntries(
+  LOCALE_PACKS.map(p => [p.id, { enabled: p.id === 'en-US', weight: 30 }])
+);
+const DEFAULT_LOCALE = 'en-US';
+
+// Deep links — article URLs interact.js spotted on earlier browse pages (see
+// "Deep Links"). When a site has some, a browse task opens one of them
+// instead of the front page DEEP_LINK_CHANCE of the time. The pool keeps at
+// most DEEP_LINKS_PER_SITE per site, across DEEP_LINK_SITES_MAX sites, and
+// forgets links not seen again within DEEP_LINK_MAX_AGE_DAYS.
+const DEEP_LINK_CHANCE = 0.5;
+const DEEP_LINKS_PER_SITE = 30;
+const DEEP_LINK_SITES_MAX = 200;
+const DEEP_LINK_MAX_AGE_DAYS = 3;
+const DEEP_LINKS_PER_REPORT = 5;
+const DEEP_LINK_MAX_LENGTH = 300;
+
+// Sites tagged `js` in SITE_REGISTRY draw their content after the load event;
+// interaction starts this long after it so there's a page to scroll.
+const JS_SITE_SETTLE_MS = 1500;
+
+// Site health — browse and ad-site visits are scored per domain over the last
+// SITE_HEALTH_WINDOW outcomes (see "Site Health"). Once a domain has
+// SITE_HEALTH_MIN_SAMPLES of them, its pick weight is its success rate. After
+// SITE_QUARANTINE_AFTER timeouts or failures in a row it is quarantined —
+// never picked — for SITE_QUARANTINE_BASE_HOURS, doubling each time it fails
+// again right after, up to SITE_QUARANTINE_MAX_HOURS. Records are kept for
+// at most SITE_HEALTH_DOMAINS_MAX domains.
+const SITE_HEALTH_WINDOW = 10;
+const SITE_HEALTH_MIN_SAMPLES = 3;
+const SITE_HEALTH_MIN_WEIGHT = 0.1;
+const SITE_QUARANTINE_AFTER = 4;
+const SITE_QUARANTINE_BASE_HOURS = 6;
+const SITE_QUARANTINE_MAX_HOURS = 168; // 1 week
+const SITE_HEALTH_DOMAINS_MAX = 500;
+
+// Denylist — domain patterns and search keywords the user never wants noise
+// to touch (see "Denylist"). A generated task that hits one is drawn again,
+// up to DENYLIST_REROLLS times.
+const DENYLIST_MAX = 500;
+const DENYLIST_ENTRY_MAX_LENGTH = 100;
+const DENYLIST_REROLLS = 20;
+
+// Click-through — on these task types, a page that clicks a link may go on
+// clicking from the page it lands on: up to a random 1–maxHops links per
+// visit, with maxHops set by the user (1–MAX_HOPS_LIMIT).
+const CLICK_THROUGH_TYPES = ['browse', 'search', 'site_search'];
+const DEFAULT_MAX_HOPS = 2;
+const MAX_HOPS_LIMIT = 5;
+
+// What interact.js does with a cookie consent banner it recognises. A banner
+// left unanswered often blocks scrolling and holds back most trackers.
+//   accept — accept all (default): the page loads what a consenting user gets
+//   reject — reject all, where the banner offers that on its first layer
+//   ignore — leave it; the outcome is still logged
+const CONSENT_MODES = {
+  accept: 'accept all',
+  reject: 'reject all',
+  ignore: 'leave alone',
+};
+
+// Browse visits to these categories may start a video on the page and let it
+// play, muted, for part of the dwell time — streaming and player beacons are
+// what real visits to them look like. Off unless the user turns it on, since
+// streaming is heavy on bandwidth.
+const MEDIA_CATEGORIES = ['entertainment', 'sports'];
+
+// Ad engagement on "ad_click" visits: interact.js scrolls the page's ad slots
+// into view long enough for viewability beacons to fire, hovers them, and
+// clicks one through this often (a user-set percentage, off by default). The
+// ad's landing page is followed whether it opens in the noise tab or a new one.
+const DEFAULT_AD_CLICK_PERCENT = 0;
+
+// Weekly active-hours schedule. When enabled, the intensity level above is the
+// PEAK rate, and it is shaped over the day by two things:
+//   - days:  one active window per weekday (0 = Sunday … 6 = Saturday), in
+//            local hours. `end` may be smaller than `start` for windows that
+//            run past midnight (e.g. 18 → 2). Outside a window the rate is 0.
+//   - curve: 24 hourly multipliers (0–2) that scale the rate within a window,
+//            so 4am looks quieter than 8pm the way a real person's day does.
+// Disabled by default so the engine behaves exactly as before until opted in.
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  days: [
+    { enabled: true, start: 9, end: 24 },  // Sun
+    { enabled: true, start: 7, end: 23 },  // Mon
+    { enabled: true, start: 7, end: 23 },  // Tue
+    { enabled: true, start: 7, end: 23 },  // Wed
+    { enabled: true, start: 7, end: 23 },  // Thu
+    { enabled: true, start: 7, end: 24 },  // Fri
+    { enabled: true, start: 9, end: 24 },  // Sat
+  ],
+  curve: [
+    0.3, 0.2, 0.1, 0.1, 0.1, 0.2, 0.4, 0.7,   // 00–07
+    0.9, 1.0, 1.0, 0.9, 1.2, 1.0, 0.9, 0.9,   // 08–15
+    1.0, 1.1, 1.3, 1.5, 1.5, 1.3, 1.0, 0.6,   // 16–23
+  ],
 };
 
+// Upper bound for a single hour's multiplier in the schedule curve.
+const SCHEDULE_CURVE_MAX = 2;
+
+// Browsing sessions — real people browse in bursts of related pages, then go
+// quiet. When enabled, the engine alternates between an "active" state (a
+// burst of visits sharing one topic) and an "idle" state (no visits), with
+// each state's length drawn from the chosen distribution around its mean.
+// During a session the rate is boosted so the long-run average still matches
+// the selected intensity.
+const DEFAULT_SESSION_SETTINGS = {
+  enabled: false,
+  meanActiveMinutes: 12,       // Average length of a browsing session
+  meanIdleMinutes: 25,         // Average gap between sessions
+  distribution: 'lognormal',   // 'exponential' or 'lognormal' (heavier tail)
+};
+
+// Allowed ranges for the session settings (minutes), enforced on save.
+const SESSION_MINUTES_MIN = 1;
+const SESSION_MINUTES_MAX = 240;
+
+// Cap on how much a session may boost the base rate, so a short-session /
+// long-gap configuration doesn't turn into a tab storm at high intensity.
+const SESSION_MAX_BOOST = 4;
+
+// Shape parameter (sigma) for log-normal session lengths. 0.8 gives the
+// long-tailed spread seen in real browsing: mostly short, occasionally long.
+const SESSION_LOGNORMAL_SIGMA = 0.8;
+
 // Maximum number of log entries to keep in storage. Oldest entries are dropped
 // when this limit is reached. Each entry is ~200 bytes, so 500 entries ≈ 100KB.
 const LOG_BUFFER_SIZE = 500;
@@ -308,21 +1146,84 @@ const ALARM_NAME = 'poisson-tick';
 // bytes per page load. This is a conservative estimate for bandwidth tracking.
 const BYTES_PER_PAGE_FALLBACK = 512000; // 500KB
 
+// How far ahead the scheduler keeps the durable task queue filled. Two alarm
+// periods, so a late alarm tick never leaves a gap in the noise.
+const SCHEDULE_LOOKAHEAD_MS = 120000;
+
+// On each alarm tick, tasks due within this window get a dispatch timer.
+// Slightly longer than the alarm period so nothing falls between two ticks.
+const DISPATCH_HORIZON_MS = 70000;
+
+// When the service worker wakes up, queued tasks more overdue than this are
+// dropped — a burst of 10-minute-old noise would look nothing like the
+// schedule. Less-overdue tasks still run.
+const STALE_TASK_MS = 300000; // 5 minutes
+
+// Overdue tasks replayed after a restart are spaced this far apart so they
+// don't all open at the same instant.
+const OVERDUE_STAGGER_MS = 3000;
+
+// Tab pool — caps how many noise tabs can be open at once. Tasks that come
+// due while the pool is full wait in the queue until a tab frees up. With
+// `reuseTab`, a single long-lived background tab is navigated from task to
+// task instead of opening a new tab each time (so the cap is effectively 1).
+const DEFAULT_TAB_POOL_SETTINGS = { maxTabs: 3, reuseTab: false };
+const TAB_POOL_MAX = 10;
+
+// If this many due tasks are already waiting for a tab, the scheduler skips
+// generating more until the backlog drains — otherwise a small pool at high
+// intensity would grow the queue without bound.
+const MAX_WAITING_TASKS = 20;
+
+// Idle-aware operating modes — when noise runs relative to the user's
+// presence, as reported by chrome.idle ('locked' counts as away):
+//   always — ignore presence (default)
+//   idle   — only while the machine is idle or locked
+//   active — only while the user is at the keyboard, so noise blends into
+//            real traffic instead of standing out on an otherwise silent line
+const IDLE_MODES = {
+  always: 'always',
+  idle:   'only while idle',
+  active: 'only while active',
+};
+
+// Seconds without input before Chrome reports the machine as idle.
+const IDLE_DETECTION_SECONDS = 120;
+
+// Bandwidth budgets in MB per hour, day and month (0 = no limit). Above
+// BUDGET_THROTTLE_AT of any budget, lambda is scaled down linearly so it
+// reaches zero just as the budget runs out; at 100% dispatch stops until
+// that window rolls over. Windows follow the bandwidth keys (UTC).
+const DEFAULT_BANDWIDTH_BUDGETS = { hourlyMB: 0, dailyMB: 0, monthlyMB: 0 };
+const BUDGET_THROTTLE_AT = 0.75;
+const BUDGET_MAX_MB = 1048576; // 1 TB — anything above is treated as a typo
+
 
 // ─── Runtime State ──────────────────────────────────────────────────────────────
 // These variables live in memory only — they're reset if the service worker
-// restarts. Persistent state (running, stats, logs) is in chrome.storage.local.
+// restarts. Persistent state (running, stats, logs, the task queue) is in
+// chrome.storage.local; open noise tab IDs are mirrored to
+// chrome.storage.session so a restarted worker can close them.
 
 let running = false;              // Is the noise engine currently active?
-let pendingTasks = [];            // Tasks queued for the current alarm period
 let noiseTabIds = new Set();      // Tab IDs of currently-open noise tabs (used to filter webRequest)
+let armedTaskIds = new Set();     // Queued task IDs that already have a dispatch timer in this worker
+let activeTasks = 0;              // Tasks currently holding a tab-pool slot
+let poolTabBusy = false;          // Is the reusable pool tab in use by a task right now?
+let backlogSaturated = false;     // Did the last scheduling pass skip because the pool is backed up?
 let sessionBandwidth = 0;         // Bytes generated this session (since last Start)
+let lastScheduleQuiet = null;     // Was the last batch outside active hours? (null = unknown)
+let userIdleState = null;         // Last chrome.idle state: 'active' | 'idle' | 'locked' (null = not queried yet)
+// The browsing-session state machine (active/idle + topic) is persisted in
+// chrome.storage.local as `browsingSession`, not here — see planBrowsingSessions().
 
 // ─── Service Worker Wake-Up Guard ────────────────────────────────────────────
 // Chrome MV3 terminates the service worker after ~30 seconds of inactivity.
-// When it restarts, all in-memory state is lost (running=false, pendingTasks=[]).
-// This guard restores the `running` flag from chrome.storage.local and re-creates
-// the alarm + first task batch if the engine was supposed to be running.
+// When it restarts, all in-memory state is lost (running=false, timers gone).
+// This guard restores the `running` flag from chrome.storage.local, re-creates
+// the alarm, and reconciles the durable task queue (see reconcileQueue) if the
+// engine was supposed to be running. Noise tabs left open by the previous
+// worker are closed either way.
 // Every handler that depends on `running` must await this before proceeding.
 
 let _initPromise = null;
@@ -331,6 +1232,7 @@ async function ensureInitialized() {
   if (_initPromise) return _initPromise;
   _initPromise = (async () => {
     const { running: wasRunning } = await chrome.storage.local.get('running');
+    const closedTabs = await closeLeftoverNoiseTabs();
     if (wasRunning && !running) {
       running = true;
       // Re-create the alarm if it was lost during service worker restart
@@ -338,10 +1240,18 @@ async function ensureInitialized() {
       if (!existingAlarm) {
         chrome.alarms.create(ALARM_NAME, { periodInMinutes: 1 });
       }
-      // Generate tasks so the next alarm tick has something to dispatch
-      if (pendingTasks.length === 0) {
-        await scheduleTasks();
-      }
+      // If the user's presence changed while the worker was asleep, drop
+      // the queue before anything in it gets replayed
+      await syncHold();
+      // Run or drop what the previous worker left in the queue, then top it up
+      await reconcileQueue(closedTabs);
+      await scheduleTasks();
+      await armDispatchTimers();
+    } else if (closedTabs > 0) {
+      await logSystem(
+        `Closed ${closedTabs} leftover noise tab${closedTabs === 1 ? '' : 's'} ` +
+        `from a previous service worker`
+      );
     }
   })();
   return _initPromise;
@@ -363,6 +1273,14 @@ function exponentialRandom(lambda) {
   return -Math.log(1 - Math.random()) / lambda;
 }
 
+// Standard normal sample via the Box–Muller transform.
+// Used to build log-normal session lengths.
+function normalRandom() {
+  const u = 1 - Math.random(); // (0, 1] — avoids log(0)
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
 // Pick a random item from an array of objects, weighted by each item's `weight` property.
 // Higher weight = more likely to be chosen. Used for engine selection.
 function weightedRandom(items, weightKey = 'weight') {
@@ -409,6 +1327,11 @@ function currentHourKey() {
   return new Date().toISOString().slice(0, 13);
 }
 
+// "2025-02" — used as a key for monthly bandwidth tracking.
+function currentMonthKey() {
+  return new Date().toISOString().slice(0, 7);
+}
+
 
 // ─── Logging System ─────────────────────────────────────────────────────────────
 // All significant events are logged so users can see exactly what the extension
@@ -417,23 +1340,31 @@ function currentHourKey() {
 // Log entry types:
 //   "search"    — searched for a term on a search engine
 //   "browse"    — opened a website
-//   "ad_click"  — visited an ad-heavy site
+//   "ad_click"  — visited an ad-heavy site and looked at (maybe clicked) its ads
 //   "system"    — engine start/stop, settings changes, errors, scheduling info
 //
 // Every log entry includes a timestamp so the user can correlate events
 // with their own browsing activity and verify the extension's behavior.
 
-async function addLog(entry) {
-  const { logs } = await chrome.storage.local.get('logs');
-  const arr = logs || [];
+// Writes are chained so tasks finishing at the same moment (several tabs in
+// the pool) don't overwrite each other's entries.
+let _logLock = Promise.resolve();
 
-  // Add to the front (newest first) for display in the popup
-  arr.unshift(entry);
+function addLog(entry) {
+  const run = _logLock.then(async () => {
+    const { logs } = await chrome.storage.local.get('logs');
+    const arr = logs || [];
 
-  // Trim to ring buffer size — oldest entries are silently dropped
-  if (arr.length > LOG_BUFFER_SIZE) arr.length = LOG_BUFFER_SIZE;
+    // Add to the front (newest first) for display in the popup
+    arr.unshift(entry);
 
-  await chrome.storage.local.set({ logs: arr });
+    // Trim to ring buffer size — oldest entries are silently dropped
+    if (arr.length > LOG_BUFFER_SIZE) arr.length = LOG_BUFFER_SIZE;
+
+    await chrome.storage.local.set({ logs: arr });
+  });
+  _logLock = run.catch(() => {});
+  return run;
 }
 
 // Convenience: log a system-level event (not a noise task).
@@ -486,35 +1417,150 @@ async function getIntensity() {
   return intensity || 'medium';
 }
 
-// Returns engine settings — which engines are enabled and their weights.
-// Falls back to defaults (all enabled with standard weights) if no settings saved.
-async function getEngineSettings() {
-  const { engineSettings } = await chrome.storage.local.get('engineSettings');
-  if (engineSettings) return engineSettings;
+// Returns the idle-aware operating mode (a key of IDLE_MODES).
+async function getIdleMode() {
+  const { idleMode } = await chrome.storage.local.get('idleMode');
+  return Object.hasOwn(IDLE_MODES, idleMode) ? idleMode : 'always';
+}
+
+// Returns locale pack settings: { [packId]: { enabled, weight } } for every
+// pack, defaults filled in for any saved before the pack existed.
+async function getLocaleSettings() {
+  const { localeSettings } = await chrome.storage.local.get('localeSettings');
+  return { ...DEFAULT_LOCALE_SETTINGS, ...localeSettings };
+}
 
-  // Default: all engines enabled with their built-in weights
-  const defaults = {};
-  for (const e of SEARCH_ENGINES) {
-    defaults[e.id] = { enabled: true, weight: e.weight };
+// Returns the user's own search engines: [{ id, name, url }].
+async function getCustomEngines() {
+  const { customEngines } = await chrome.storage.local.get('customEngines');
+  return customEngines || [];
+}
+
+// Returns engine settings — which engines are enabled and their weights —
+// for every engine in the registry. Engines without saved settings (new
+// built-ins, or everything on a fresh install) get their defaults.
+async function getEngineSettings() {
+  const { engineSettings = {} } = await chrome.storage.local.get('engineSettings');
+  const settings = {};
+  for (const e of await getSearchEngines()) {
+    settings[e.id] = engineSettings[e.id] || { enabled: e.enabled, weight: e.weight };
   }
-  return defaults;
+  return settings;
+}
+
+// Returns the custom intensity's rate in tasks per hour.
+async function getCustomRate() {
+  const { customRatePerHour } = await chrome.storage.local.get('customRatePerHour');
+  return customRatePerHour || DEFAULT_CUSTOM_RATE_PER_HOUR;
+}
+
+// Returns the most links a page visit may follow in a row.
+async function getMaxHops() {
+  const { maxHops } = await chrome.storage.local.get('maxHops');
+  return maxHops || DEFAULT_MAX_HOPS;
+}
+
+// Returns how often (0–100%) an ad_click visit clicks an ad through.
+async function getAdClickPercent() {
+  const { adClickPercent } = await chrome.storage.local.get('adClickPercent');
+  return adClickPercent ?? DEFAULT_AD_CLICK_PERCENT;
+}
+
+// Returns whether browse visits to MEDIA_CATEGORIES may play video.
+async function getMediaPlayback() {
+  const { mediaPlayback } = await chrome.storage.local.get('mediaPlayback');
+  return mediaPlayback === true;
+}
+
+// Returns what noise tabs do with consent banners (a key of CONSENT_MODES).
+async function getConsentMode() {
+  const { consentMode } = await chrome.storage.local.get('consentMode');
+  return Object.hasOwn(CONSENT_MODES, consentMode) ? consentMode : 'accept';
+}
+
+// Returns the dwell-time ranges per task type, [min, max] in ms. Missing
+// types fall back to DEFAULT_DELAY_RANGES.
+async function getDelayRanges() {
+  const { delayRanges } = await chrome.storage.local.get('delayRanges');
+  return { ...DEFAULT_DELAY_RANGES, ...delayRanges };
 }
 
+// Returns the task mix. Types added since the weights were saved (e.g.
+// site_search) get their default weight.
 async function getTaskWeights() {
   const { taskWeights } = await chrome.storage.local.get('taskWeights');
-  return taskWeights || { ...DEFAULT_TASK_WEIGHTS };
+  return { ...DEFAULT_TASK_WEIGHTS, ...taskWeights };
 }
 
-// Returns which site categories are enabled. Defaults to all enabled.
+// Returns the weight of every site category (0 = off). Settings saved as
+// on/off switches before categories had weights read as the default weight
+// or 0.
 async function getCategorySettings() {
-  const { categorySettings } = await chrome.storage.local.get('categorySettings');
-  if (categorySettings) return categorySettings;
-
-  const defaults = {};
-  for (const cat of Object.keys(SITE_CATEGORIES)) {
-    defaults[cat] = true;
+  const { categorySettings = {} } = await chrome.storage.local.get('categorySettings');
+  const weights = {};
+  for (const cat of SITE_CATEGORIES) {
+    const saved = categorySettings[cat];
+    if (typeof saved === 'number') weights[cat] = saved;
+    else weights[cat] = saved === false ? 0 : DEFAULT_CATEGORY_WEIGHT;
   }
-  return defaults;
+  return weights;
+}
+
+// Returns the user's own browse/ad sites: { entries: [{ url, category }],
+// replaceDefaults }. A category of 'ad' marks an ad-heavy site.
+async function getCustomSites() {
+  const { customSites } = await chrome.storage.local.get('customSites');
+  return { entries: [], replaceDefaults: false, ...customSites };
+}
+
+// Returns the user's own search terms: { entries: [{ term, category }],
+// replaceDefaults }.
+async function getCustomTerms() {
+  const { customTerms } = await chrome.storage.local.get('customTerms');
+  return { entries: [], replaceDefaults: false, ...customTerms };
+}
+
+// Returns the user's denylist: { domains: [pattern], keywords: [word] }.
+async function getDenylist() {
+  const { denylist } = await chrome.storage.local.get('denylist');
+  return { domains: [], keywords: [], ...denylist };
+}
+
+// Returns the persona settings, filling in defaults for missing keys.
+async function getPersonaSettings() {
+  const { personaSettings } = await chrome.storage.local.get('personaSettings');
+  return { ...DEFAULT_PERSONA_SETTINGS, ...personaSettings };
+}
+
+// Returns the tab pool settings (concurrency cap + tab reuse).
+async function getTabPoolSettings() {
+  const { tabPoolSettings } = await chrome.storage.local.get('tabPoolSettings');
+  return { ...DEFAULT_TAB_POOL_SETTINGS, ...tabPoolSettings };
+}
+
+// Returns the bandwidth budgets (MB per window, 0 = unlimited).
+async function getBandwidthBudgets() {
+  const { bandwidthBudgets } = await chrome.storage.local.get('bandwidthBudgets');
+  return { ...DEFAULT_BANDWIDTH_BUDGETS, ...bandwidthBudgets };
+}
+
+// Returns the adaptive-intensity settings, filling in defaults for missing keys.
+async function getAdaptiveSettings() {
+  const { adaptiveSettings } = await chrome.storage.local.get('adaptiveSettings');
+  return { ...DEFAULT_ADAPTIVE_SETTINGS, ...adaptiveSettings };
+}
+
+// Returns the browsing-session settings, filling in defaults for missing keys.
+async function getSessionSettings() {
+  const { sessionSettings } = await chrome.storage.local.get('sessionSettings');
+  return { ...DEFAULT_SESSION_SETTINGS, ...sessionSettings };
+}
+
+// Returns the weekly active-hours schedule. Defaults to DEFAULT_SCHEDULE
+// (disabled) so a fresh install runs at a flat rate around the clock.
+async function getSchedule() {
+  const { schedule } = await chrome.storage.local.get('schedule');
+  return schedule || structuredClone(DEFAULT_SCHEDULE);
 }
 
 // ─── Stats Tracking ─────────────────────────────────────────────────────────────
@@ -527,6 +1573,7 @@ async function getStats() {
     today: todayKey(),
     searches: 0,
     browses: 0,
+    siteSearches: 0,
     adClicks: 0,
     totalActions: 0,
     daysActive: [],
@@ -541,6 +1588,7 @@ async function saveStats(stats) {
     stats.today = today;
     stats.searches = 0;
     stats.browses = 0;
+    stats.siteSearches = 0;
     stats.adClicks = 0;
   }
 
@@ -561,26 +1609,60 @@ async function saveStats(stats) {
   await chrome.storage.local.set({ stats: toSave });
 }
 
+// Count a finished task in the daily and all-time stats. Chained like
+// addLog() so concurrent tasks can't lose each other's increments.
+let _statsLock = Promise.resolve();
+
+function countTask(task) {
+  const run = _statsLock.then(async () => {
+    const stats = await getStats();
+    if (task.type === 'search') stats.searches++;
+    else if (task.type === 'browse') stats.browses++;
+    else if (task.type === 'site_search') stats.siteSearches = (stats.siteSearches || 0) + 1;
+    else stats.adClicks++;
+    stats.totalActions = (stats.totalActions || 0) + 1;
+    await saveStats(stats);
+
+    if (task.category) {
+      const { categoryCounts = {} } = await chrome.storage.local.get('categoryCounts');
+      categoryCounts[task.category] = (categoryCounts[task.category] || 0) + 1;
+      await chrome.storage.local.set({ categoryCounts });
+    }
+  });
+  _statsLock = run.catch(() => {});
+  return run;
+}
+
 
 // ─── Bandwidth Tracking ─────────────────────────────────────────────────────────
 // Tracks estimated data usage from noise tabs only. Stored as:
 //   - hourly totals (last 24 hours) — used for the sparkline chart
 //   - daily totals (last 30 days)
+//   - monthly totals (last 12 months) — used for the monthly budget
 //   - session total (in-memory, resets on engine restart)
 //
 // Bandwidth is estimated from HTTP Content-Length headers when available,
 // with a 500KB fallback per page when headers are missing. This is a rough
 // estimate — actual data may be higher due to sub-resources, or lower if
 // pages are cached. It's meant to give you a general sense of data volume.
+//
+// Updates are chained: webRequest reports many responses at once, and with
+// several tabs in the pool, unchained read-modify-writes would drop bytes.
+let _bandwidthLock = Promise.resolve();
 
-async function trackBandwidth(bytes) {
+function trackBandwidth(bytes) {
   sessionBandwidth += bytes;
+  const run = _bandwidthLock.then(() => saveBandwidth(bytes));
+  _bandwidthLock = run.catch(() => {});
+  return run;
+}
 
+async function saveBandwidth(bytes) {
   const hourKey = currentHourKey();
   const dayKey = todayKey();
 
-  const { bandwidthHourly, bandwidthDaily } = await chrome.storage.local.get([
-    'bandwidthHourly', 'bandwidthDaily',
+  const { bandwidthHourly, bandwidthDaily, bandwidthMonthly } = await chrome.storage.local.get([
+    'bandwidthHourly', 'bandwidthDaily', 'bandwidthMonthly',
   ]);
 
   // Rolling hourly window — keep the most recent 24 data points
@@ -599,331 +1681,2122 @@ async function trackBandwidth(bytes) {
     delete daily[dayKeys.shift()];
   }
 
-  await chrome.storage.local.set({ bandwidthHourly: hourly, bandwidthDaily: daily });
-}
-
+  // Rolling monthly window — keep the most recent 12 months
+  const monthly = bandwidthMonthly || {};
+  const monthKey = currentMonthKey();
+  monthly[monthKey] = (monthly[monthKey] || 0) + bytes;
+  const monthKeys = Object.keys(monthly).sort();
+  while (monthKeys.length > 12) {
+    delete monthly[monthKeys.shift()];
+  }
 
-// ─── Task Generation ────────────────────────────────────────────────────────────
-// Generates individual noise tasks. Each task specifies: what type (search,
-// browse, or ad_click), which URL to open, and how long to keep it open.
+  await chrome.storage.local.set({
+    bandwidthHourly: hourly, bandwidthDaily: daily, bandwidthMonthly: monthly,
+  });
+}
 
-// Pick a random task type using the configured weights.
-// Higher weight = higher probability of that type being chosen.
-async function pickTaskType() {
-  const weights = await getTaskWeights();
-  const total = weights.search + weights.browse + weights.ad_click;
-  const r = Math.random() * total;
 
-  if (r < weights.search) return 'search';
-  if (r < weights.search + weights.browse) return 'browse';
-  return 'ad_click';
-}
+// ─── Bandwidth Budgets ──────────────────────────────────────────────────────────
+// Caps how much data the noise may use, for metered or tethered connections.
+// Each budget is checked against the current window's total from above:
+//   ok        — under BUDGET_THROTTLE_AT of every budget, full rate
+//   throttled — lambda scaled down as the tightest budget fills up
+//   exhausted — a budget is used up; dispatch stops (see getHold) until the
+//               window rolls over
+// The last state is kept in chrome.storage.local as `budgetState` so every
+// change is logged exactly once.
+
+const BUDGET_WINDOWS = {
+  hourly:  { budgetKey: 'hourlyMB',  usageKey: 'bandwidthHourly',  currentKey: currentHourKey,  unit: 'hour' },
+  daily:   { budgetKey: 'dailyMB',   usageKey: 'bandwidthDaily',   currentKey: todayKey,        unit: 'day' },
+  monthly: { budgetKey: 'monthlyMB', usageKey: 'bandwidthMonthly', currentKey: currentMonthKey, unit: 'month' },
+};
 
-// Get the list of browse sites filtered by the user's enabled categories.
-async function getEnabledSites() {
-  const cats = await getCategorySettings();
-  const sites = [];
+// Where usage stands against the tightest budget right now. Returns
+// { state, factor, window, used, limit } — `factor` is the lambda multiplier
+// (1 = full rate, 0 = stopped); window/used/limit describe the tightest
+// budget, or are null when no budget is set.
+async function budgetStatus() {
+  const budgets = await getBandwidthBudgets();
+  const usage = await chrome.storage.local.get(
+    Object.values(BUDGET_WINDOWS).map(w => w.usageKey)
+  );
 
-  for (const [cat, range] of Object.entries(SITE_CATEGORIES)) {
-    if (cats[cat]) {
-      sites.push(...BROWSE_SITES.slice(range.start, range.end));
+  let tightest = null;
+  for (const [window, w] of Object.entries(BUDGET_WINDOWS)) {
+    const limit = budgets[w.budgetKey] * 1048576;
+    if (!limit) continue;
+    const used = usage[w.usageKey]?.[w.currentKey()] || 0;
+    if (!tightest || used / limit > tightest.used / tightest.limit) {
+      tightest = { window, used, limit };
     }
   }
+  if (!tightest) return { state: 'ok', factor: 1, window: null, used: 0, limit: 0 };
 
-  // Fallback: if the user somehow disabled ALL categories, use the full list
-  // rather than generating zero noise.
-  return sites.length > 0 ? sites : BROWSE_SITES;
+  const fraction = tightest.used / tightest.limit;
+  if (fraction >= 1) return { state: 'exhausted', factor: 0, ...tightest };
+  if (fraction <= BUDGET_THROTTLE_AT) return { state: 'ok', factor: 1, ...tightest };
+  const factor = (1 - fraction) / (1 - BUDGET_THROTTLE_AT);
+  return { state: 'throttled', factor, ...tightest };
 }
 
-// Generate a single noise task with all details needed to execute it.
-async function generateTask() {
-  const type = await pickTaskType();
-
-  if (type === 'search') {
-    const engineSettings = await getEngineSettings();
-    const enabledEngines = SEARCH_ENGINES.filter(e => engineSettings[e.id]?.enabled);
-
-    // If no search engines are enabled, fall back to a browse task
-    if (enabledEngines.length === 0) {
-      const sites = await getEnabledSites();
-      const url = pickRandom(sites);
-      return { type: 'browse', url, delay: randomInt(...DELAY_RANGES.browse) };
-    }
+// Re-evaluate the budgets and log any change of state. Returns the status.
+async function checkBudget() {
+  const status = await budgetStatus();
+  const { budgetState } = await chrome.storage.local.get('budgetState');
+  const previous = budgetState || { state: 'ok', window: null };
+  if (status.state === previous.state && status.window === previous.window) return status;
+  // Within "ok", which budget is tightest doesn't matter
+  if (status.state === 'ok' && previous.state === 'ok') return status;
+
+  await chrome.storage.local.set({ budgetState: { state: status.state, window: status.window } });
+  const usage = status.window &&
+    `${status.window} usage ${formatBytes(status.used)} of ${formatBytes(status.limit)}`;
+  if (status.state === 'exhausted') {
+    await logSystem(
+      `Bandwidth budget used up — ${usage}; noise stopped until the ` +
+      `${BUDGET_WINDOWS[status.window].unit} rolls over`
+    );
+  } else if (status.state === 'throttled') {
+    const lead = previous.state === 'exhausted'
+      ? 'Bandwidth budget window rolled over — resuming throttled'
+      : 'Bandwidth throttled';
+    await logSystem(
+      `${lead} — ${usage} ` +
+      `(${Math.round(status.used / status.limit * 100)}%), rate scaled down`
+    );
+  } else if (previous.state === 'exhausted') {
+    await logSystem(`Bandwidth budget window rolled over — resuming noise`);
+  } else {
+    await logSystem(`Bandwidth back under budget — full rate`);
+  }
+  return status;
+}
 
-    // Apply user-configured weights to enabled engines
-    const enginesWithWeights = enabledEngines.map(e => ({
-      ...e, weight: engineSettings[e.id]?.weight ?? e.weight,
-    }));
+// Validate budgets from the popup. Returns a normalized copy or null.
+function sanitizeBandwidthBudgets(value) {
+  if (!value || typeof value !== 'object') return null;
+  const budgets = {};
+  for (const key of Object.keys(DEFAULT_BANDWIDTH_BUDGETS)) {
+    const mb = Number(value[key] ?? 0);
+    if (!Number.isFinite(mb) || mb < 0 || mb > BUDGET_MAX_MB) return null;
+    budgets[key] = mb;
+  }
+  return budgets;
+}
 
-    // Pick a random engine and search term
-    const engine = weightedRandom(enginesWithWeights);
-    const query = pickRandom(SEARCH_TERMS);
-    const url = engine.url.replace('{query}', encodeURIComponent(query));
 
-    return {
-      type: 'search',
-      url,
-      engine: engine.name,
-      query,
-      delay: randomInt(...DELAY_RANGES.search),
-    };
+// ─── User Sites & Search Terms ──────────────────────────────────────────────────
+// Merges the user's own sites and search terms (stored as `customSites` and
+// `customTerms`) with the built-in lists. With `replaceDefaults`, only the
+// user's entries are used — except where that would leave nothing to pick
+// from, in which case the built-ins fill in so the engine never stalls.
+// Every user URL must pass isValidUrl(); executeTask() checks again anyway.
+
+// Browse sites per category: built-ins tagged with it (unless replaced) plus
+// the user's, minus denied domains. The built-ins come from the `locale` pack
+// where it has its own.
+async function getSitePool(locale = null) {
+  const custom = await getCustomSites();
+  const denylist = await getDenylist();
+  const pool = {};
+  for (const cat of SITE_CATEGORIES) {
+    const builtIn = locale?.sites?.[cat] ||
+      SITE_REGISTRY.filter(s => s.categories.includes(cat)).map(s => s.url);
+    pool[cat] = custom.replaceDefaults ? [] : [...builtIn];
   }
-
-  if (type === 'browse') {
-    const sites = await getEnabledSites();
-    const url = pickRandom(sites);
-    return { type: 'browse', url, delay: randomInt(...DELAY_RANGES.browse) };
+  for (const { url, category } of custom.entries) {
+    if (pool[category] && !pool[category].includes(url)) pool[category].push(url);
   }
-
-  // ad_click — pick a random ad-heavy site
-  const url = pickRandom(AD_SITES);
-  return { type: 'ad_click', url, delay: randomInt(...DELAY_RANGES.ad_click) };
+  for (const cat of SITE_CATEGORIES) {
+    pool[cat] = pool[cat].filter(url => !isDeniedUrl(url, denylist));
+  }
+  return pool;
 }
 
+// Ad-heavy sites: built-ins tagged `ads` (unless replaced) plus the user's
+// 'ad' entries, minus denied domains.
+async function getAdSites(locale = null) {
+  const custom = await getCustomSites();
+  const denylist = await getDenylist();
+  const builtIn = locale?.adSites || AD_SITES;
+  const mine = custom.entries.filter(e => e.category === 'ad').map(e => e.url);
+  const sites = custom.replaceDefaults ? mine : [...new Set([...builtIn, ...mine])];
+  const allowed = sites.filter(url => !isDeniedUrl(url, denylist));
+  // Empty if every candidate is denied
+  return allowed.length > 0 ? allowed : builtIn.filter(url => !isDeniedUrl(url, denylist));
+}
 
-// ─── Task Execution ─────────────────────────────────────────────────────────────
-// Opens a noise tab, injects the interaction script, waits for it to finish,
-// then closes the tab and logs the result.
-//
-// SECURITY NOTES:
-// - Tabs are opened with `active: false` so they don't steal focus from the user
-// - Only http/https URLs are allowed (validated by isValidUrl)
-// - The tab is ALWAYS closed afterward, even if errors occur
-// - We track which tab IDs are ours (noiseTabIds) so bandwidth tracking only
-//   counts traffic from noise tabs, never from the user's real tabs
+// Search terms for a topic (or any topic when null), in the `locale` pack's
+// language if it has its own terms.
+async function getSearchTerms(topic = null, locale = null) {
+  const custom = await getCustomTerms();
+  const mine = custom.entries
+    .filter(e => !topic || e.category === topic)
+    .map(e => e.term);
+  const allBuiltIn = locale?.terms ? Object.values(locale.terms).flat() : SEARCH_TERMS;
+  const topicBuiltIn = locale?.terms ? locale.terms[topic] : SEARCH_TERMS_BY_CATEGORY[topic];
+  const builtIn = custom.replaceDefaults ? [] : (topicBuiltIn || allBuiltIn);
+  const terms = [...builtIn, ...mine];
+  if (terms.length > 0) return terms;
+
+  // Replaced defaults but nothing on this topic: any of the user's terms
+  const all = custom.entries.map(e => e.term);
+  return all.length > 0 ? all : allBuiltIn;
+}
 
-async function executeTask(task) {
-  // Don't execute if engine was stopped while this task was queued
-  if (!running) return;
 
-  // Safety: validate the URL before opening it
-  if (!isValidUrl(task.url)) {
-    await logSystem(`Skipped invalid URL: ${task.url}`);
-    return;
-  }
+// ─── Denylist ───────────────────────────────────────────────────────────────────
+// Domains noise must never touch and words its searches must never contain,
+// stored as `denylist`: { domains, keywords }. A domain pattern covers the
+// domain and all its subdomains; `*` matches any run of characters, so
+// "*.corp.example" is every subdomain and "intranet.*" every top-level
+// domain. Keywords match anywhere in a query, ignoring case. Enforced when
+// picking sites, by re-rolling tasks in generateTask(), on links interact.js
+// clicks, and on deep links it reports.
 
-  const startTime = Date.now();
-  let tab;
+// Regex for a domain pattern, matched against a hostname.
+function domainPatternRegex(pattern) {
+  const body = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^(?:.*\\.)?${body}$`);
+}
 
-  // Step 1: Open a new background tab to the target URL
+// True if `url`'s host is covered by one of the denylist's domain patterns.
+function isDeniedUrl(url, denylist) {
+  if (denylist.domains.length === 0) return false;
+  let host;
   try {
-    tab = await chrome.tabs.create({ url: task.url, active: false });
-    noiseTabIds.add(tab.id);
-  } catch (err) {
-    // Tab creation failed — log it and move on. This can happen if Chrome
-    // is low on resources or the URL was rejected by Chrome.
-    await addLog({
-      timestamp: Date.now(),
-      type: task.type,
-      url: task.url,
-      engine: task.engine || null,
-      query: task.query || null,
-      duration_ms: Date.now() - startTime,
-      interactions: { scrolls: 0, clicks: 0 },
-      bytes_estimated: 0,
-      status: 'tab_failed',
-      message: `Failed to open tab: ${err.message}`,
-    });
-    return;
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return true;
   }
+  return denylist.domains.some(p => domainPatternRegex(p).test(host));
+}
 
-  // Step 2: Wait for page load, inject interaction script, wait for completion
-  return new Promise((resolve) => {
-    // Safety timeout — if the page hangs or the content script never responds,
-    // we still clean up the tab. Set to delay + 10s buffer.
-    const timeout = setTimeout(() => {
-      cleanup('timeout');
-    }, task.delay + 10000);
-
-    // Cleanup function — closes tab, logs the result, updates stats.
-    // Called on success, timeout, or error.
-    async function cleanup(status, interactions) {
-      clearTimeout(timeout);
-      noiseTabIds.delete(tab.id);
-
-      const duration = Date.now() - startTime;
-      const bytes = interactions?.bytes_estimated || BYTES_PER_PAGE_FALLBACK;
-
-      // Always close the tab — ignore errors (tab may already be closed)
-      try { await chrome.tabs.remove(tab.id); } catch {}
-
-      // Track bandwidth for this page load
-      await trackBandwidth(bytes);
-
-      // Update daily and all-time stats
-      const stats = await getStats();
-      if (task.type === 'search') stats.searches++;
-      else if (task.type === 'browse') stats.browses++;
-      else stats.adClicks++;
-      stats.totalActions = (stats.totalActions || 0) + 1;
-      await saveStats(stats);
-
-      // Build a descriptive message for the log entry
-      let message;
-      if (task.type === 'search') {
-        message = `Searched "${task.query}" on ${task.engine}`;
-      } else if (task.type === 'ad_click') {
-        message = `Visited ad-heavy site`;
-      } else {
-        message = `Browsed page`;
-      }
-
-      if (status === 'timeout') {
-        message += ' (timed out)';
-      } else if (status === 'tab_failed') {
-        message += ' (tab failed)';
-      }
-
-      if (interactions) {
-        const parts = [];
-        if (interactions.scrolls) parts.push(`${interactions.scrolls} scrolls`);
-        if (interactions.clicks) parts.push(`${interactions.clicks} clicks`);
-        if (parts.length) message += ` — ${parts.join(', ')}`;
-      }
+// True if `query` contains one of the denylist's keywords.
+function hasDeniedKeyword(query, denylist) {
+  const text = String(query || '').toLowerCase();
+  return denylist.keywords.some(k => text.includes(k));
+}
 
-      // Write the log entry
-      await addLog({
-        timestamp: Date.now(),
-        type: task.type,
-        url: task.url,
-        engine: task.engine || null,
-        query: task.query || null,
-        duration_ms: duration,
-        interactions: interactions || { scrolls: 0, clicks: 0 },
-        bytes_estimated: bytes,
-        status: status || 'success',
-        message,
-      });
+// True if no page or query of `task` (including its search chain) is denied.
+function taskAllowed(task, denylist) {
+  const steps = [task, ...(task.chain || [])];
+  return steps.every(s => !isDeniedUrl(s.url, denylist) && !(s.query && hasDeniedKeyword(s.query, denylist)));
+}
 
-      resolve();
+// Validate the denylist from the popup. Domains may be pasted as URLs (only
+// the host is kept); anything that isn't a hostname pattern is rejected, as
+// in sanitizeCustomSites(). Returns null if `value` isn't two lists.
+function sanitizeDenylist(value) {
+  if (!value || !Array.isArray(value.domains) || !Array.isArray(value.keywords)) return null;
+  const domains = [];
+  const keywords = [];
+  const rejected = [];
+  for (const entry of value.domains) {
+    let pattern = typeof entry === 'string' ? entry.trim().toLowerCase() : '';
+    if (/^https?:\/\//.test(pattern)) {
+      try { pattern = new URL(pattern).hostname; } catch { pattern = ''; }
     }
-
-    // Listen for the tab to finish loading its initial page
-    function onUpdated(tabId, changeInfo) {
-      if (tabId !== tab.id || changeInfo.status !== 'complete') return;
-      chrome.tabs.onUpdated.removeListener(onUpdated);
-
-      // Inject the interaction script (interact.js) into the loaded page.
-      // This script will scroll, hover, and maybe click links to simulate
-      // realistic human behavior. See interact.js for full details.
-      chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['interact.js'],
-      }).then(() => {
-        // Tell the injected script to start interacting, passing the
-        // task type and how long it has to work.
-        chrome.tabs.sendMessage(tab.id, {
-          action: 'interact',
-          delay: task.delay,
-          type: task.type,
-        }).catch(() => {
-          // Content script may not be ready yet — retry once after 500ms.
-          // This is a timing issue where executeScript resolves but the
-          // script hasn't fully initialized its message listener yet.
-          setTimeout(() => {
-            chrome.tabs.sendMessage(tab.id, {
-              action: 'interact',
-              delay: task.delay,
-              type: task.type,
-            }).catch(() => cleanup('timeout'));
-          }, 500);
-        });
-      }).catch(() => {
-        // Script injection failed — this happens on restricted pages like
-        // chrome:// URLs, the Chrome Web Store, or pages with strict CSP.
-        // We still count it as a visit (the page loaded and generated
-        // network traffic), just without interaction simulation.
-        setTimeout(() => {
-          cleanup('success', { scrolls: 0, clicks: 0, bytes_estimated: BYTES_PER_PAGE_FALLBACK });
-        }, task.delay);
-      });
+    if (!/^[a-z0-9*.-]+$/.test(pattern) || !/[a-z0-9]/.test(pattern) ||
+        pattern.length > DENYLIST_ENTRY_MAX_LENGTH || domains.length >= DENYLIST_MAX) {
+      rejected.push(String(entry));
+      continue;
     }
-
-    chrome.tabs.onUpdated.addListener(onUpdated);
-
-    // Listen for the "I'm done" message from interact.js.
-    // The content script sends this after completing its interaction sequence.
-    function onMessage(message, sender) {
-      if (sender.tab?.id !== tab.id) return;
-      if (message.action === 'interaction-complete') {
-        chrome.runtime.onMessage.removeListener(onMessage);
-        cleanup('success', message.data);
-      }
+    if (!domains.includes(pattern)) domains.push(pattern);
+  }
+  for (const entry of value.keywords) {
+    const keyword = typeof entry === 'string' ? entry.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+    if (!keyword || keyword.length > DENYLIST_ENTRY_MAX_LENGTH || keywords.length >= DENYLIST_MAX) {
+      rejected.push(String(entry));
+      continue;
     }
-    chrome.runtime.onMessage.addListener(onMessage);
-  });
+    if (!keywords.includes(keyword)) keywords.push(keyword);
+  }
+  return { domains, keywords, rejected };
 }
 
 
-// ─── Poisson Scheduling ─────────────────────────────────────────────────────────
-// Generates a batch of tasks for the next 60-second alarm period using
-// Poisson-process timing.
-//
-// How it works:
-// 1. The alarm fires every 60 seconds
-// 2. We generate exponential random inter-arrival times that sum to ~60s
-// 3. Each arrival becomes a task, scheduled at its cumulative offset
-// 4. When the alarm fires, we dispatch each task at its scheduled time
-//
-// This means at "medium" intensity (lambda=1.0/min), we get ~1 task per
-// minute on average, but the exact timing is random — sometimes 2 tasks
-// close together, sometimes a longer gap. This randomness is the whole point.
-
-async function scheduleTasks() {
-  if (!running) return;
-
-  const intensity = await getIntensity();
-  const { lambda } = INTENSITY_LEVELS[intensity] || INTENSITY_LEVELS.medium;
+// ─── Locales ────────────────────────────────────────────────────────────────────
+// Each task draws from one LOCALE_PACKS entry, picked by the user's weights.
+// The pack's sites and terms are applied by the lookups above; its engine
+// hosts and params by localizeUrl().
+
+// Pick the locale pack for the next task. Falls back to DEFAULT_LOCALE if
+// nothing is enabled.
+async function pickLocale() {
+  const settings = await getLocaleSettings();
+  const enabled = LOCALE_PACKS
+    .filter(p => settings[p.id]?.enabled)
+    .map(p => ({ pack: p, weight: settings[p.id].weight }));
+  if (enabled.length === 0) return LOCALE_PACKS.find(p => p.id === DEFAULT_LOCALE);
+  return weightedRandom(enabled).pack;
+}
 
-  // Generate tasks with Poisson inter-arrival times for the next 60 seconds.
-  // lambda is tasks/minute, so we use lambda/60 for tasks/second.
-  pendingTasks = [];
-  let elapsed = 0;
+// Point a search URL built for engine or site `id` at the pack's local
+// host and add its language / region params. Other URLs pass through.
+function localizeUrl(url, id, locale) {
+  const host = locale?.hosts?.[id];
+  const params = locale?.params?.[id];
+  if (!url || (!host && !params)) return url;
+  const u = new URL(url);
+  if (host) u.hostname = host;
+  for (const [key, value] of Object.entries(params || {})) u.searchParams.set(key, value);
+  return u.href;
+}
 
-  while (elapsed < 60) {
-    const gap = exponentialRandom(lambda / 60);
-    elapsed += gap;
+// Validate locale settings from the popup: { enabled, weight } for every
+// pack, weight a whole number 1–100, at least one enabled. Returns a
+// normalized copy or null.
+function sanitizeLocaleSettings(value) {
+  if (!value || typeof value !== 'object') return null;
+  const settings = {};
+  for (const { id } of LOCALE_PACKS) {
+    const entry = value[id] || DEFAULT_LOCALE_SETTINGS[id];
+    const weight = Number(entry.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) return null;
+    settings[id] = { enabled: !!entry.enabled, weight };
+  }
+  if (!Object.values(settings).some(s => s.enabled)) return null;
+  return settings;
+}
 
-    if (elapsed < 60) {
-      const task = await generateTask();
-      task._executeAt = elapsed; // seconds from now when this task should fire
-      pendingTasks.push(task);
+// Validate the user's site list. Bad entries are skipped, not fatal, so one
+// typo in a big import doesn't lose the rest; they're returned as
+// `rejected` for the popup to show. Returns null if `value` isn't a list.
+function sanitizeCustomSites(value) {
+  if (!value || !Array.isArray(value.entries)) return null;
+  const entries = [];
+  const rejected = [];
+  const seen = new Set();
+  for (const entry of value.entries) {
+    const url = typeof entry?.url === 'string' ? entry.url.trim() : '';
+    const category = typeof entry?.category === 'string' ? entry.category.trim().toLowerCase() : '';
+    const knownCategory = category === 'ad' || SITE_CATEGORIES.includes(category);
+    if (!isValidUrl(url) || !knownCategory || entries.length >= CUSTOM_SITES_MAX) {
+      rejected.push(`${category || '?'}: ${url}`);
+      continue;
     }
+    const key = `${category} ${new URL(url).href}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push({ url, category });
   }
+  return { entries, replaceDefaults: !!value.replaceDefaults, rejected };
+}
 
-  // Log how many tasks are queued for this period
-  if (pendingTasks.length > 0) {
-    await logSystem(
-      `Scheduled ${pendingTasks.length} task${pendingTasks.length === 1 ? '' : 's'} ` +
-      `for the next 60s (intensity: ${intensity}, lambda: ${lambda}/min)`
-    );
+// Validate the user's search terms, same rules as sanitizeCustomSites().
+// Terms can use any site or search-term category; 'general' if none given.
+function sanitizeCustomTerms(value) {
+  if (!value || !Array.isArray(value.entries)) return null;
+  const entries = [];
+  const rejected = [];
+  const seen = new Set();
+  for (const entry of value.entries) {
+    const term = typeof entry?.term === 'string' ? entry.term.trim().replace(/\s+/g, ' ') : '';
+    const category = typeof entry?.category === 'string' && entry.category.trim()
+      ? entry.category.trim().toLowerCase()
+      : 'general';
+    const knownCategory = category in SEARCH_TERMS_BY_CATEGORY || SITE_CATEGORIES.includes(category);
+    if (!term || term.length > CUSTOM_TERM_MAX_LENGTH || !knownCategory ||
+        entries.length >= CUSTOM_TERMS_MAX) {
+      rejected.push(`${category}: ${term}`);
+      continue;
+    }
+    const key = `${category} ${term.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push({ term, category });
   }
+  return { entries, replaceDefaults: !!value.replaceDefaults, rejected };
 }
 
-// Called every 60 seconds by the Chrome alarm.
-async function onAlarm(alarm) {
-  if (alarm.name !== ALARM_NAME) return;
-  await ensureInitialized();
-  if (!running) return;
 
-  // Grab the tasks generated during the previous scheduling pass
-  const tasks = [...pendingTasks];
-  pendingTasks = [];
+// ─── Search Engine Registry ─────────────────────────────────────────────────────
+// The built-in SEARCH_ENGINES plus the user's own (stored as `customEngines`).
+// Which of them are used, and how often, is up to getEngineSettings().
 
-  // Generate the NEXT batch of tasks (so they're ready when the next alarm fires)
-  scheduleTasks();
+// Every engine, built-in first, in the shape of a SEARCH_ENGINES entry.
+async function getSearchEngines() {
+  const custom = await getCustomEngines();
+  return [
+    ...SEARCH_ENGINES,
+    ...custom.map(e => ({ ...e, weight: CUSTOM_ENGINE_WEIGHT, enabled: true, pageUrl: null, custom: true })),
+  ];
+}
 
-  // Dispatch each task at its scheduled time offset within this 60-second window.
-  // setTimeout is fine here — the service worker stays alive while tasks are pending.
-  for (const task of tasks) {
-    const delayMs = (task._executeAt || 0) * 1000;
-    setTimeout(() => executeTask(task), delayMs);
-  }
+// Validate a user engine from the popup: a name and an http(s) URL template
+// with {query} in it exactly once. `engines` is the current registry, used
+// to pick an unused id. Returns { id, name, url } or null.
+function sanitizeCustomEngine(value, engines) {
+  const name = typeof value?.name === 'string' ? value.name.trim().replace(/\s+/g, ' ') : '';
+  const url = typeof value?.url === 'string' ? value.url.trim() : '';
+  if (!name || name.length > CUSTOM_ENGINE_NAME_MAX_LENGTH) return null;
+  if (url.split('{query}').length !== 2 || !isValidUrl(url.replace('{query}', 'test'))) return null;
+
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'engine';
+  let id = `custom-${slug}`;
+  for (let n = 2; engines.some(e => e.id === id); n++) id = `custom-${slug}-${n}`;
+  return { id, name, url };
 }
 
 
-// ─── Bandwidth Tracking via webRequest ──────────────────────────────────────────
-// Listens to HTTP response headers from our noise tabs ONLY (filtered by tab ID)
+// ─── Deep Links ─────────────────────────────────────────────────────────────────
+// A pool of article URLs found on noise pages, stored as `deepLinks` in
+// chrome.storage.local: { [site]: [{ url, seen }] }, where `site` is the
+// browse-list URL the visit started from, so the user's category choices
+// still decide which sites (and so which links) are used. Only bare
+// origin + path URLs on the same origin as the page they were found on are
+// accepted. Writes are chained like addLog() since several tabs may report
+// at once.
+
+let _deepLinkLock = Promise.resolve();
+
+// Drop links older than DEEP_LINK_MAX_AGE_DAYS, then the least recently
+// refreshed sites beyond DEEP_LINK_SITES_MAX. Mutates `pool`.
+function pruneDeepLinks(pool, now) {
+  const cutoff = now - DEEP_LINK_MAX_AGE_DAYS * 86400000;
+  for (const site of Object.keys(pool)) {
+    pool[site] = pool[site].filter(e => e.seen >= cutoff);
+    if (pool[site].length === 0) delete pool[site];
+  }
+  const newest = site => Math.max(...pool[site].map(e => e.seen));
+  const sites = Object.keys(pool).sort((a, b) => newest(a) - newest(b));
+  for (const site of sites.slice(0, Math.max(0, sites.length - DEEP_LINK_SITES_MAX))) {
+    delete pool[site];
+  }
+}
+
+// Add links reported by interact.js on a page of `site`. `pageUrl` is the
+// page they were found on (after any redirect).
+function addDeepLinks(site, links, pageUrl) {
+  const run = _deepLinkLock.then(async () => {
+    if (!Array.isArray(links) || !isValidUrl(pageUrl)) return;
+    // Behind a login wall, the links lead to more of the wall
+    if (SITE_INFO.get(site)?.botWall === 'login') return;
+    const origin = new URL(pageUrl).origin;
+    const denylist = await getDenylist();
+    const fresh = links.slice(0, DEEP_LINKS_PER_REPORT).filter(link => {
+      if (typeof link !== 'string' || link.length > DEEP_LINK_MAX_LENGTH || !isValidUrl(link)) return false;
+      if (isDeniedUrl(link, denylist)) return false;
+      const u = new URL(link);
+      return u.origin === origin && !u.search && !u.hash && u.pathname !== '/';
+    });
+    if (fresh.length === 0) return;
+
+    const now = Date.now();
+    const { deepLinks = {} } = await chrome.storage.local.get('deepLinks');
+    const kept = (deepLinks[site] || []).filter(e => !fresh.includes(e.url));
+    deepLinks[site] = [...kept, ...fresh.map(url => ({ url, seen: now }))].slice(-DEEP_LINKS_PER_SITE);
+    pruneDeepLinks(deepLinks, now);
+    await chrome.storage.local.set({ deepLinks });
+  });
+  _deepLinkLock = run.catch(() => {});
+  return run;
+}
+
+// A fresh deep link for `site`, or null if the pool has none.
+async function pickDeepLink(site) {
+  const { deepLinks = {} } = await chrome.storage.local.get('deepLinks');
+  const cutoff = Date.now() - DEEP_LINK_MAX_AGE_DAYS * 86400000;
+  const urls = (deepLinks[site] || [])
+    .filter(e => e.seen >= cutoff && isValidUrl(e.url))
+    .map(e => e.url);
+  return urls.length > 0 ? pickRandom(urls) : null;
+}
+
+
+// ─── Site Health ────────────────────────────────────────────────────────────────
+// How reliably each domain opens, stored as `siteHealth` in
+// chrome.storage.local: { [domain]: { recent, strikes, until, last } }.
+// `recent` holds the last SITE_HEALTH_WINDOW outcomes of browse and ad-site
+// visits, one letter each: s(uccess), t(imeout) or f(ailed to open).
+// `until` is when the current (or last) quarantine ends and `strikes` how
+// many quarantines in a row the domain has had. Writes are chained like
+// addLog().
+
+let _healthLock = Promise.resolve();
+
+// Domain a health record is kept under: the hostname without "www.".
+function siteDomain(url) {
+  return new URL(url).hostname.replace(/^www\./, '');
+}
+
+// Pick weight for a domain's record: 0 while quarantined, else its recent
+// success rate (never below SITE_HEALTH_MIN_WEIGHT), or 1 until it has
+// enough visits to judge.
+function healthWeight(entry, now) {
+  if (!entry) return 1;
+  if (entry.until > now) return 0;
+  if (entry.recent.length < SITE_HEALTH_MIN_SAMPLES) return 1;
+  const successes = entry.recent.split('').filter(c => c === 's').length;
+  return Math.max(successes / entry.recent.length, SITE_HEALTH_MIN_WEIGHT);
+}
+
+// Record how a visit to `url` went ('success', 'timeout' or 'tab_failed'),
+// quarantining the domain if it keeps failing. A domain whose quarantine
+// has run out is on probation: one success clears its strikes, one more
+// failure sends it straight back for twice as long.
+function recordSiteOutcome(url, status) {
+  const run = _healthLock.then(async () => {
+    const domain = siteDomain(url);
+    const now = Date.now();
+    const { siteHealth = {} } = await chrome.storage.local.get('siteHealth');
+    const entry = siteHealth[domain] || { recent: '', strikes: 0, until: 0 };
+    const probation = entry.until > 0 && entry.until <= now;
+    const mark = status === 'success' ? 's' : status === 'timeout' ? 't' : 'f';
+    entry.recent = (entry.recent + mark).slice(-SITE_HEALTH_WINDOW);
+    entry.last = now;
+    const failing = entry.recent.length >= SITE_QUARANTINE_AFTER &&
+      !entry.recent.slice(-SITE_QUARANTINE_AFTER).includes('s');
+
+    if (mark === 's' && probation) {
+      entry.strikes = 0;
+      entry.until = 0;
+      await logSystem(`${domain} passed its re-probe — back in rotation`);
+    } else if (mark !== 's' && (probation || failing)) {
+      const hours = Math.min(SITE_QUARANTINE_BASE_HOURS * 2 ** entry.strikes, SITE_QUARANTINE_MAX_HOURS);
+      entry.strikes++;
+      entry.until = now + hours * 3600000;
+      entry.recent = '';
+      await logSystem(`Quarantined ${domain} for ${hours} h — it keeps timing out or failing to open`);
+    }
+
+    siteHealth[domain] = entry;
+    // Forget the least recently visited domains beyond the cap
+    const domains = Object.keys(siteHealth).sort((a, b) => siteHealth[a].last - siteHealth[b].last);
+    for (const d of domains.slice(0, Math.max(0, domains.length - SITE_HEALTH_DOMAINS_MAX))) {
+      delete siteHealth[d];
+    }
+    await chrome.storage.local.set({ siteHealth });
+  });
+  _healthLock = run.catch(() => {});
+  return run;
+}
+
+// Pick one of `urls` by domain health: quarantined domains are left out
+// (unless that leaves nothing) and unreliable ones come up less often.
+async function pickHealthySite(urls) {
+  const { siteHealth = {} } = await chrome.storage.local.get('siteHealth');
+  const now = Date.now();
+  const options = urls
+    .map(url => ({ url, weight: healthWeight(siteHealth[siteDomain(url)], now) }))
+    .filter(o => o.weight > 0);
+  return options.length > 0 ? weightedRandom(options).url : pickRandom(urls);
+}
+
+// Domains currently in quarantine: [{ domain, until, strikes }], soonest
+// back first.
+async function getQuarantine() {
+  const { siteHealth = {} } = await chrome.storage.local.get('siteHealth');
+  const now = Date.now();
+  return Object.entries(siteHealth)
+    .filter(([, e]) => e.until > now)
+    .map(([domain, e]) => ({ domain, until: e.until, strikes: e.strikes }))
+    .sort((a, b) => a.until - b.until);
+}
+
+// Lift a quarantine by hand and forget the domain's record, so it starts
+// over at full weight. Returns false if it wasn't quarantined.
+function releaseSite(domain) {
+  const run = _healthLock.then(async () => {
+    const { siteHealth = {} } = await chrome.storage.local.get('siteHealth');
+    if (!(siteHealth[domain]?.until > Date.now())) return false;
+    delete siteHealth[domain];
+    await chrome.storage.local.set({ siteHealth });
+    return true;
+  });
+  _healthLock = run.catch(() => {});
+  return run;
+}
+
+
+// ─── Query Synthesizer ──────────────────────────────────────────────────────────
+// Builds the query for each search task. Several candidates are drawn —
+// mostly filled-in QUERY_TEMPLATES, some straight from the term lists — and
+// the one closest to a length sampled from QUERY_LENGTH_WEIGHTS wins, as
+// long as it wasn't searched recently. Recent queries are kept in
+// `queryHistory` (storage.local). Occasionally a typo is slipped in.
+//
+// When the user has replaced the built-in terms, only their own terms are
+// used: templates would put words in their mouth they chose to remove. The
+// same goes for locale packs with their own terms, as the templates and
+// modifiers are English.
+
+const QWERTY_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+// Fill a template's {slots}. A slot used twice ("{team} vs {team}") gets
+// two different values.
+function fillTemplate(template) {
+  const now = new Date();
+  const used = {};
+  return template.replace(/\{(\w+)\}/g, (match, slot) => {
+    if (slot === 'year') {
+      // Mostly this year; early in the year people still type last year's
+      const lag = Math.random() < (now.getMonth() < 2 ? 0.4 : 0.1);
+      return String(now.getFullYear() - (lag ? 1 : 0));
+    }
+    if (slot === 'month') {
+      return new Date(2000, randomInt(0, 11), 1).toLocaleString('en-US', { month: 'long' }).toLowerCase();
+    }
+    const options = (QUERY_SLOTS[slot] || []).filter(v => !(used[slot] || []).includes(v));
+    if (options.length === 0) return match;
+    const value = pickRandom(options);
+    (used[slot] ||= []).push(value);
+    return value;
+  });
+}
+
+// Maybe append a modifier that suits the topic and isn't already there.
+function addModifier(query, topic, chance = QUERY_MODIFIER_CHANCE) {
+  if (Math.random() >= chance) return query;
+  const options = QUERY_SUFFIXES.filter(s =>
+    (!s.categories || s.categories.includes(topic)) &&
+    !query.includes(s.text) &&
+    !(s.text === '{year}' && /\b\d{4}\b/.test(query)));
+  if (options.length === 0) return query;
+  return `${query} ${fillTemplate(weightedRandom(options).text)}`;
+}
+
+// One realistic slip in a word of 4+ letters: swapped, dropped or doubled
+// letter, or a neighbouring key. The first letter is left alone — that's
+// rarely where people fumble.
+function addTypo(query) {
+  const words = query.split(' ');
+  const candidates = words.map((w, i) => (/^[a-z]{4,}$/i.test(w) ? i : -1)).filter(i => i >= 0);
+  if (candidates.length === 0) return query;
+  const i = pickRandom(candidates);
+  const w = words[i];
+  const p = randomInt(1, w.length - 2);
+  switch (randomInt(0, 3)) {
+    case 0: words[i] = w.slice(0, p) + w[p + 1] + w[p] + w.slice(p + 2); break;
+    case 1: words[i] = w.slice(0, p) + w.slice(p + 1); break;
+    case 2: words[i] = w.slice(0, p) + w[p] + w.slice(p); break;
+    default: {
+      const row = QWERTY_ROWS.find(r => r.includes(w[p].toLowerCase()));
+      if (!row) return query;
+      const k = row.indexOf(w[p].toLowerCase());
+      words[i] = w.slice(0, p) + pickRandom([row[k - 1], row[k + 1]].filter(Boolean)) + w.slice(p + 1);
+    }
+  }
+  return words.join(' ');
+}
+
+// Rewrite a query the way people do when the results miss: add a modifier
+// or a narrowing word, drop the last word, or swap one slot value for
+// another ("lakers vs celtics" → "lakers vs warriors"). Never returns
+// anything in `avoid` (earlier steps of the same chain) if it can help it.
+function refineQuery(query, topic, avoid = []) {
+  const words = query.split(' ');
+  const rewrites = [
+    () => addModifier(query, topic, 1),
+    () => {
+      const prefix = pickRandom(QUERY_REFINEMENTS.prefixes);
+      return words[0] === prefix ? query : `${prefix} ${query}`;
+    },
+    () => `${query} ${pickRandom(QUERY_REFINEMENTS.suffixes)}`,
+    () => {
+      // Broaden: drop the last word, and any "vs"/"in"/"for" left dangling
+      const kept = words.slice(0, -1);
+      while (kept.length > 0 && QUERY_CONNECTORS.includes(kept[kept.length - 1])) kept.pop();
+      return kept.length >= 2 ? kept.join(' ') : query;
+    },
+    () => {
+      for (const values of Object.values(QUERY_SLOTS)) {
+        const value = values.find(v => query.includes(v));
+        if (value) return query.replace(value, pickRandom(values.filter(v => v !== value)));
+      }
+      return query;
+    },
+  ];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const refined = pickRandom(rewrites)();
+    if (refined !== query && !avoid.includes(refined)) return refined;
+  }
+  return `${query} ${pickRandom(QUERY_REFINEMENTS.suffixes)}`;
+}
+
+function sampleQueryLength() {
+  const lengths = Object.entries(QUERY_LENGTH_WEIGHTS).map(([words, weight]) => ({ words: +words, weight }));
+  return weightedRandom(lengths).words;
+}
+
+// Synthesize a search query, optionally on a topic (a SEARCH_TERMS_BY_CATEGORY
+// key; anything else means any topic), in the `locale` pack's language.
+async function synthesizeQuery(topic = null, locale = null) {
+  const corpus = await getSearchTerms(topic, locale);
+  const { replaceDefaults } = await getCustomTerms();
+  const corpusOnly = replaceDefaults || !!locale?.terms;
+  const { queryHistory = [] } = await chrome.storage.local.get('queryHistory');
+  const recent = new Set(queryHistory);
+
+  const candidates = [];
+  for (let i = 0; i < QUERY_CANDIDATES; i++) {
+    if (corpusOnly || Math.random() < QUERY_CORPUS_SHARE) {
+      candidates.push(fillTemplate(pickRandom(corpus)));
+      continue;
+    }
+    const cat = topic in QUERY_TEMPLATES ? topic : pickRandom(Object.keys(QUERY_TEMPLATES));
+    candidates.push(addModifier(fillTemplate(pickRandom(QUERY_TEMPLATES[cat])), cat));
+  }
+
+  // Closest to the sampled length among the ones not searched lately. If
+  // every candidate is recent (tiny custom list), a repeat is unavoidable.
+  const target = sampleQueryLength();
+  const fresh = candidates.filter(q => !recent.has(q.toLowerCase()));
+  const pool = fresh.length > 0 ? fresh : candidates;
+  const distance = q => Math.abs(q.split(' ').length - target);
+  const query = pool.reduce((best, q) => (distance(q) < distance(best) ? q : best));
+
+  queryHistory.push(query.toLowerCase());
+  await chrome.storage.local.set({ queryHistory: queryHistory.slice(-QUERY_HISTORY_SIZE) });
+
+  return Math.random() < QUERY_TYPO_CHANCE ? addTypo(query) : query;
+}
+
+
+// ─── Task Generation ────────────────────────────────────────────────────────────
+// Generates individual noise tasks. Each task specifies: what type (search,
+// browse, site_search or ad_click), which URL to open, and how long to keep
+// it open.
+
+// Validate dwell-time ranges from the popup: every task type needs whole
+// [min, max] milliseconds within DELAY_MIN_MS–DELAY_MAX_MS, min <= max.
+// Returns a normalized copy or null.
+function sanitizeDelayRanges(value) {
+  if (!value || typeof value !== 'object') return null;
+  const ranges = {};
+  for (const type of Object.keys(DEFAULT_DELAY_RANGES)) {
+    const range = value[type];
+    if (!Array.isArray(range) || range.length !== 2) return null;
+    const [min, max] = range.map(Number);
+    if (!Number.isInteger(min) || !Number.isInteger(max)) return null;
+    if (min < DELAY_MIN_MS || max > DELAY_MAX_MS || min > max) return null;
+    ranges[type] = [min, max];
+  }
+  return ranges;
+}
+
+// Pick a random task type using the configured weights, leaving out the
+// types in `exclude`. Higher weight = higher probability of that type being
+// chosen. Returns null if no type with any weight is left.
+async function pickTaskType(exclude = []) {
+  const weights = await getTaskWeights();
+  const types = Object.keys(DEFAULT_TASK_WEIGHTS)
+    .filter(type => !exclude.includes(type))
+    .map(type => ({ type, weight: weights[type] || 0 }))
+    .filter(t => t.weight > 0);
+  return types.length > 0 ? weightedRandom(types).type : null;
+}
+
+// Validate category weights from the popup: a whole number in
+// 0–CATEGORY_WEIGHT_MAX for every category, at least one above 0.
+// Returns a normalized copy or null.
+function sanitizeCategorySettings(value) {
+  if (!value || typeof value !== 'object') return null;
+  const weights = {};
+  for (const cat of SITE_CATEGORIES) {
+    const weight = Number(value[cat]);
+    if (!Number.isInteger(weight) || weight < 0 || weight > CATEGORY_WEIGHT_MAX) return null;
+    weights[cat] = weight;
+  }
+  return Object.values(weights).some(w => w > 0) ? weights : null;
+}
+
+// Target share of browse tasks per category: { [category]: 0–1 }, from the
+// user's weights over the categories that have sites to visit.
+async function categoryTargets(locale = null) {
+  const cats = await getCategorySettings();
+  const pool = await getSitePool(locale);
+  const live = SITE_CATEGORIES.filter(cat => cats[cat] > 0 && pool[cat].length > 0);
+  const total = live.reduce((sum, cat) => sum + cats[cat], 0);
+  const targets = {};
+  for (const cat of SITE_CATEGORIES) {
+    targets[cat] = live.includes(cat) ? cats[cat] / total : 0;
+  }
+  return targets;
+}
+
+// Pick the sites for a browse task: { category, sites }. A category is drawn
+// by the user's weights first, so a big category doesn't crowd out small
+// ones; the caller then picks one of its sites. Inside a browsing session,
+// `topic` fixes the category (as long as the user still has it on and it has
+// sites).
+async function getEnabledSites(topic = null, locale = null) {
+  const cats = await getCategorySettings();
+  const pool = await getSitePool(locale);
+  if (topic && cats[topic] > 0 && pool[topic]?.length) {
+    return { category: topic, sites: pool[topic] };
+  }
+
+  const options = Object.entries(pool)
+    .filter(([cat, urls]) => cats[cat] > 0 && urls.length > 0)
+    .map(([cat, urls]) => ({ category: cat, sites: urls, weight: cats[cat] }));
+  if (options.length > 0) {
+    const { category, sites } = weightedRandom(options);
+    return { category, sites };
+  }
+
+  // Fallback: if the only categories with sites are turned off (e.g. the
+  // user replaced the defaults with their own sites in those), use every
+  // site rather than generating zero noise. Empty if every site is denied.
+  const all = Object.values(pool).flat();
+  if (all.length > 0) return { category: null, sites: all };
+  const denylist = await getDenylist();
+  return { category: null, sites: BROWSE_SITES.filter(url => !isDeniedUrl(url, denylist)) };
+}
+
+// URL of results page `page` (2, 3, …) for `query` on `engine`, or null if
+// the engine has no pagination pattern.
+function resultsPageUrl(engine, query, page) {
+  if (!engine.pageUrl) return null;
+  const offset = engine.firstResult + (page - 1) * (engine.perPage ?? SEARCH_RESULTS_PER_PAGE);
+  return engine.pageUrl.replace('{query}', encodeURIComponent(query)).replace('{offset}', offset);
+}
+
+// Plan what a search task does after its first query: zero to two rewrites
+// of it, then maybe page 2 of the last one. Each step is
+// { kind: 'refine' | 'page', query, page, url, delay } and is run in the
+// same tab by executeTask(). Rewrites are English, so packs with their own
+// terms only paginate.
+function planSearchChain(engine, query, topic, delayRange, locale = null) {
+  const chain = [];
+  let current = query;
+  if (!locale?.terms && Math.random() < SEARCH_REFINE_CHANCE) {
+    const seen = [query];
+    do {
+      current = refineQuery(current, topic, seen);
+      seen.push(current);
+      chain.push({
+        kind: 'refine',
+        query: current,
+        page: 1,
+        url: localizeUrl(engine.url.replace('{query}', encodeURIComponent(current)), engine.id, locale),
+        delay: randomInt(...delayRange),
+      });
+    } while (chain.length < 2 && Math.random() < SEARCH_REFINE_AGAIN_CHANCE);
+  }
+  const nextPage = localizeUrl(resultsPageUrl(engine, current, 2), engine.id, locale);
+  if (nextPage && Math.random() < SEARCH_NEXT_PAGE_CHANCE) {
+    chain.push({ kind: 'page', query: current, page: 2, url: nextPage, delay: randomInt(...delayRange) });
+  }
+  return chain;
+}
+
+// Generate a single noise task with all details needed to execute it. Tasks
+// that would open a denied domain or search a denied keyword are drawn
+// again; null only if DENYLIST_REROLLS draws in a row were all denied.
+async function generateTask(options = {}) {
+  const denylist = await getDenylist();
+  for (let i = 0; i < DENYLIST_REROLLS; i++) {
+    const task = await drawTask(options);
+    if (!task) return null; // No type has anything left to visit
+    if (taskAllowed(task, denylist)) return task;
+  }
+  return null;
+}
+
+// Draw a candidate task. Every task draws its sites, terms and engine
+// parameters from one locale pack (pickLocale()). A type with no site left
+// to visit (all denied) falls through to another; null if none has any.
+async function drawTask(options = {}) {
+  const delays = await getDelayRanges();
+  const locale = await pickLocale();
+  const tried = [];
+  for (let type = await pickTaskType(); type; type = await pickTaskType(tried)) {
+    const task = await drawTaskOfType(type, options, delays, locale);
+    if (task) return task;
+    tried.push(type);
+  }
+  return null;
+}
+
+// Draw a task of `type`, or null if it has no site to visit.
+// `topic` is the current browsing session's category (or null), so tasks in
+// the same session visit related sites and search related things. Outside a
+// session, the active `persona` (if any) picks the category or theme.
+async function drawTaskOfType(type, { topic = null, persona = null }, delays, locale) {
+  if (type === 'search') {
+    const engineSettings = await getEngineSettings();
+    const enabledEngines = (await getSearchEngines()).filter(e => engineSettings[e.id]?.enabled);
+
+    // If no search engines are enabled, fall back to a browse task
+    if (enabledEngines.length === 0) {
+      const { category, sites } = await getEnabledSites(topic || (persona && await pickPersonaCategory(persona)), locale);
+      if (sites.length === 0) return null;
+      const site = await pickHealthySite(sites);
+      return { type: 'browse', url: site, site, category, delay: randomInt(...delays.browse) };
+    }
+
+    // Apply user-configured weights to enabled engines, nudged toward the
+    // persona's favourites
+    const enginesWithWeights = enabledEngines.map(e => ({
+      ...e, weight: (engineSettings[e.id]?.weight ?? e.weight) * (persona?.engines[e.id] ?? 1),
+    }));
+
+    // Pick a random engine and search term, and what to do after it
+    const engine = weightedRandom(enginesWithWeights);
+    const theme = topic || (persona && pickPersonaTheme(persona));
+    const query = await synthesizeQuery(theme, locale);
+    const url = localizeUrl(engine.url.replace('{query}', encodeURIComponent(query)), engine.id, locale);
+
+    return {
+      type: 'search',
+      url,
+      engine: engine.name,
+      query,
+      delay: randomInt(...delays.search),
+      chain: planSearchChain(engine, query, theme, delays.search, locale),
+    };
+  }
+
+  if (type === 'browse') {
+    const { category, sites } = await getEnabledSites(topic || (persona && await pickPersonaCategory(persona)), locale);
+    if (sites.length === 0) return null;
+    const site = await pickHealthySite(sites);
+    // Sometimes an article found on an earlier visit instead of the front page
+    const deep = Math.random() < DEEP_LINK_CHANCE ? await pickDeepLink(site) : null;
+    return { type: 'browse', url: deep || site, site, category, delay: randomInt(...delays.browse) };
+  }
+
+  if (type === 'site_search') {
+    // A site that suits the theme, and a query on one of its topics
+    const theme = topic || (persona && pickPersonaTheme(persona));
+    const suited = SITE_SEARCHES.filter(s => s.topics.includes(theme));
+    const site = weightedRandom(suited.length > 0 ? suited : SITE_SEARCHES);
+    const query = await synthesizeQuery(site.topics.includes(theme) ? theme : pickRandom(site.topics), locale);
+    return {
+      type: 'site_search',
+      url: localizeUrl(site.url.replace('{query}', encodeURIComponent(query)), site.id, locale),
+      engine: site.name,
+      query,
+      delay: randomInt(...delays.site_search),
+    };
+  }
+
+  // ad_click — pick an ad-heavy site, passing over ones that won't load
+  const adSites = await getAdSites(locale);
+  if (adSites.length === 0) return null;
+  const url = await pickHealthySite(adSites);
+  return { type: 'ad_click', url, delay: randomInt(...delays.ad_click) };
+}
+
+
+// ─── Tab Pool ───────────────────────────────────────────────────────────────────
+// Hands out tabs to tasks. Normally each task gets a fresh background tab that
+// is closed afterwards; in reuse mode there is one long-lived pool tab (ID in
+// chrome.storage.session as `poolTabId`) that each task navigates instead.
+// How many tasks may run at once is enforced by claimTask() below.
+
+// How many tasks may hold a tab at the same time under these settings.
+function tabPoolCapacity(settings) {
+  return settings.reuseTab ? 1 : settings.maxTabs;
+}
+
+// Open (or, in reuse mode, navigate) a noise tab to `url`.
+// Returns { tab, reused }. Throws if Chrome refuses to create the tab.
+async function acquireNoiseTab(url) {
+  const settings = await getTabPoolSettings();
+  if (settings.reuseTab) {
+    const { poolTabId } = await chrome.storage.session.get('poolTabId');
+    if (poolTabId != null) {
+      try {
+        const tab = await chrome.tabs.update(poolTabId, { url, muted: true });
+        poolTabBusy = true;
+        return { tab, reused: true };
+      } catch {} // Pool tab was closed — fall through and open a new one
+    }
+    const tab = await openMutedTab(url);
+    await trackNoiseTab(tab.id);
+    await chrome.storage.session.set({ poolTabId: tab.id });
+    poolTabBusy = true;
+    return { tab, reused: true };
+  }
+
+  const tab = await openMutedTab(url);
+  await trackNoiseTab(tab.id);
+  return { tab, reused: false };
+}
+
+// Open a background tab and mute it straight away, long before its page can
+// start playing anything. Noise tabs must never be audible.
+async function openMutedTab(url) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  try {
+    await chrome.tabs.update(tab.id, { muted: true });
+  } catch (err) {
+    try { await chrome.tabs.remove(tab.id); } catch {}
+    throw err;
+  }
+  return tab;
+}
+
+// Give a tab back when its task is done: close it, or leave the pool tab open
+// for the next task (unless reuse was switched off in the meantime, or the
+// visit left it on a denied domain — its scripts mustn't keep running there).
+async function releaseNoiseTab(tab, reused, { onDenied = false } = {}) {
+  if (reused) {
+    poolTabBusy = false;
+    const settings = await getTabPoolSettings();
+    if (settings.reuseTab && !onDenied) return;
+    await closePoolTab();
+    return;
+  }
+  await untrackNoiseTab(tab.id);
+  // Always close the tab — ignore errors (tab may already be closed)
+  try { await chrome.tabs.remove(tab.id); } catch {}
+}
+
+// Close the reusable pool tab, if there is one.
+async function closePoolTab() {
+  const { poolTabId } = await chrome.storage.session.get('poolTabId');
+  if (poolTabId == null) return;
+  await chrome.storage.session.remove('poolTabId');
+  await untrackNoiseTab(poolTabId);
+  try { await chrome.tabs.remove(poolTabId); } catch {}
+}
+
+// Tabs a noise tab's page opens (a clicked ad's landing page, a pop-up) are
+// noise too: muted and tracked, so their traffic counts and runPageVisit()
+// can close them along with the visit.
+chrome.tabs.onCreated.addListener(async (tab) => {
+  if (tab.openerTabId == null || !noiseTabIds.has(tab.openerTabId)) return;
+  await trackNoiseTab(tab.id);
+  try { await chrome.tabs.update(tab.id, { muted: true }); } catch {}
+});
+
+// Forget noise tabs that disappear on their own (closed by the user, crashed).
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  if (!noiseTabIds.has(tabId)) return;
+  await untrackNoiseTab(tabId);
+  const { poolTabId } = await chrome.storage.session.get('poolTabId');
+  if (poolTabId === tabId) await chrome.storage.session.remove('poolTabId');
+});
+
+// Validate tab pool settings from the popup. Returns a normalized copy or null.
+function sanitizeTabPoolSettings(value) {
+  if (!value || typeof value !== 'object') return null;
+  const maxTabs = Number(value.maxTabs);
+  if (!Number.isInteger(maxTabs) || maxTabs < 1 || maxTabs > TAB_POOL_MAX) return null;
+  return { maxTabs, reuseTab: !!value.reuseTab };
+}
+
+
+// ─── Task Execution ─────────────────────────────────────────────────────────────
+// Opens a noise tab, injects the interaction script, waits for it to finish,
+// then closes the tab and logs the result. A search task with a chain (see
+// planSearchChain()) visits each of its follow-up URLs in the same tab first,
+// logging every step separately.
+//
+// SECURITY NOTES:
+// - Tabs are opened with `active: false` so they don't steal focus from the user
+// - Only http/https URLs are allowed (validated by isValidUrl)
+// - The tab is ALWAYS closed afterward, even if errors occur
+// - We track which tab IDs are ours (noiseTabIds) so bandwidth tracking only
+//   counts traffic from noise tabs, never from the user's real tabs
+
+async function executeTask(task) {
+  // Don't execute if engine was stopped while this task was queued
+  if (!running) return;
+
+  // Safety: validate the URL before opening it
+  if (!isValidUrl(task.url)) {
+    await logSystem(`Skipped invalid URL: ${task.url}`);
+    return;
+  }
+
+  const startTime = Date.now();
+  let tab;
+  let reused;
+  let onDenied = false; // The tab was left on a denied page
+  // Browse and ad-site picks depend on how reliably their sites open
+  const scored = task.type === 'browse' || task.type === 'ad_click';
+  // interact.js won't click through to these
+  const { domains: denied } = await getDenylist();
+  const maxHops = CLICK_THROUGH_TYPES.includes(task.type) ? await getMaxHops() : 1;
+  const consent = await getConsentMode();
+  const media = task.type === 'browse' && MEDIA_CATEGORIES.includes(task.category) && await getMediaPlayback();
+  const adClick = task.type === 'ad_click' ? await getAdClickPercent() / 100 : 0;
+
+  // Step 1: Open a background tab to the target URL (or navigate the pool tab)
+  try {
+    ({ tab, reused } = await acquireNoiseTab(task.url));
+  } catch (err) {
+    // Tab creation failed — log it and move on. This can happen if Chrome
+    // is low on resources or the URL was rejected by Chrome.
+    if (scored) await recordSiteOutcome(task.url, 'tab_failed');
+    await addLog({
+      timestamp: Date.now(),
+      type: task.type,
+      url: task.url,
+      engine: task.engine || null,
+      query: task.query || null,
+      duration_ms: Date.now() - startTime,
+      interactions: { scrolls: 0, clicks: 0 },
+      bytes_estimated: 0,
+      status: 'tab_failed',
+      message: `Failed to open tab: ${err.message}`,
+    });
+    return;
+  }
+
+  // Step 2: Let the page play out, then any follow-up steps in the same tab.
+  // A step that times out ends the chain — the tab is probably stuck.
+  const steps = [
+    { kind: 'first', query: task.query, page: 1, url: task.url, delay: task.delay },
+    ...(task.chain || []),
+  ];
+  try {
+    for (const [i, step] of steps.entries()) {
+      if (i > 0) {
+        // Stopped, paused or out of budget since the last step — end here
+        if (!running || await getHold() || !isValidUrl(step.url)) break;
+        try {
+          await chrome.tabs.update(tab.id, { url: step.url });
+        } catch {
+          break; // Tab was closed under us
+        }
+      }
+      const stepStart = Date.now();
+      const site = task.type === 'browse' ? (task.site || task.url) : null;
+      const hops = randomInt(1, maxHops);
+      const visit = await runPageVisit(tab.id, task.type, step.delay, { site, denied, hops, consent, media, adClick });
+      const { status, interactions, adClicked } = visit;
+      onDenied = visit.onDenied;
+      const chain = steps.length > 1 ? { step: i + 1, of: steps.length, kind: step.kind, page: step.page } : null;
+      // Daily and all-time stats count tasks, not the steps of a chain
+      if (i === 0) await countTask(task);
+      await recordVisit(task, step, chain, status, interactions, Date.now() - stepStart);
+      // Once an ad was clicked, the site did its part — a slow or hung
+      // landing page is the advertiser's, not something to hold against it
+      if (scored) await recordSiteOutcome(step.url, adClicked ? 'success' : status);
+      if (status !== 'success' || onDenied) break;
+    }
+  } finally {
+    // Close the tab (or hand the pool tab back for the next task)
+    await releaseNoiseTab(tab, reused, { onDenied });
+  }
+}
+
+// A consent banner outcome reported by interact.js: which platform's banner
+// it was and 'accepted', 'rejected', 'ignored' or 'unanswered' (no button it
+// could press). Returns a clean copy or null.
+const CONSENT_OUTCOMES = ['accepted', 'rejected', 'ignored', 'unanswered'];
+function sanitizeConsentReport(report) {
+  if (!report || typeof report.cmp !== 'string' || !CONSENT_OUTCOMES.includes(report.outcome)) return null;
+  return { cmp: report.cmp.slice(0, 30), outcome: report.outcome };
+}
+
+// Wait for `tabId` to finish loading, run interact.js in it for `delay` ms
+// and resolve with { status, interactions, adClicked, onDenied }. Status is
+// 'success' or 'timeout' — never rejects. `onDenied` means a click landed the
+// tab on a denied domain, which ended the visit there. Options:
+//   site    — the browse task's site (null for other tasks): deep links the
+//             page reports are pooled under it, and its registry tags say
+//             whether to let the page settle first
+//   denied  — the denylist's domain patterns, so interact.js never clicks
+//             into them (it gets them as domainPatternRegex() sources)
+//   hops    — how many links interact.js may follow in a row. A click that
+//             navigates takes the script with it, so it's injected again
+//             into each new page; every page gets an equal share of the
+//             dwell time that's left
+//   consent — what to do with a consent banner (a key of CONSENT_MODES)
+//   media   — whether interact.js may play a video (muted)
+//   adClick — chance (0–1) that interact.js clicks an ad through. Its landing
+//             page is followed like a hop if it loads in this tab; if it opens
+//             a tab of its own, that tab is closed with the visit
+// `interactions` adds up every page and reports the hops taken, the URL the
+// visit ended on, the first consent banner met ({ cmp, outcome }), how long
+// video played (play_ms), ad slots viewed and where a clicked ad landed
+// (adLanding).
+function runPageVisit(tabId, type, delay, {
+  site = null, denied = [], hops = 1, consent = 'accept', media = false, adClick = 0,
+} = {}) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + delay;
+
+    // Safety timeout — if the page hangs or the content script never responds,
+    // we still clean up the tab. Set to delay + 10s buffer.
+    const timeout = setTimeout(() => {
+      finish('timeout');
+    }, delay + 10000);
+
+    let hop = 0;           // Links followed so far
+    let loaded = false;    // First page has finished loading
+    let following = false; // interact.js said it's clicking through
+    let adClicked = false; // interact.js said it's clicking an ad
+    let adLanding = null;  // The ad's landing page, once loaded
+    const openedTabs = new Set(); // Tabs the page opened itself
+    let onDenied = false;  // The visit ended on a denied page
+    const totals = { scrolls: 0, clicks: 0, bytes_estimated: 0, play_ms: 0, ads: 0, consent: null };
+
+    function addCounts(data) {
+      totals.scrolls += Number(data?.scrolls) || 0;
+      totals.clicks += Number(data?.clicks) || 0;
+      totals.bytes_estimated += Number(data?.bytes_estimated) || 0;
+      totals.play_ms += Math.min(Math.max(Number(data?.play_ms) || 0, 0), delay);
+      totals.ads += Number(data?.ads) || 0;
+      totals.consent ??= sanitizeConsentReport(data?.consent);
+    }
+
+    // Only acts the first time, since a late message can race the timeout.
+    let finished = false;
+    function finish(status, interactions) {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onCreated.removeListener(onCreated);
+      chrome.runtime.onMessage.removeListener(onMessage);
+      for (const openedId of openedTabs) chrome.tabs.remove(openedId).catch(() => {});
+      resolve({ status, interactions: interactions && { ...interactions, adLanding }, adClicked, onDenied });
+    }
+
+    // Tabs the page opens itself — usually a clicked ad's landing page
+    // (see the tab tracking in "Tab Pool").
+    function onCreated(newTab) {
+      if (newTab.openerTabId !== tabId) return;
+      openedTabs.add(newTab.id);
+      if (adClicked) following = false; // The ad didn't load in our tab
+    }
+
+    // Note where a clicked ad landed. Ending up on a denied domain ends the
+    // visit there — its tab is closed right away.
+    function landAd(url, openedId) {
+      adLanding = isValidUrl(url) ? url : null;
+      if (!adLanding || !isDeniedUrl(adLanding, { domains: denied })) return false;
+      if (openedId == null) {
+        onDenied = true;
+        finish('success', { ...totals, hops: hop, finalUrl: null });
+      } else {
+        openedTabs.delete(openedId);
+        chrome.tabs.remove(openedId).catch(() => {});
+      }
+      return true;
+    }
+
+    // Listen for the tab to finish loading a page: the first one, then each
+    // page a click leads to
+    function onUpdated(updatedTabId, changeInfo, updatedTab) {
+      if (changeInfo.status !== 'complete') return;
+      if (openedTabs.has(updatedTabId)) {
+        if (adClicked && !adLanding) landAd(updatedTab?.url, updatedTabId);
+        return;
+      }
+      if (updatedTabId !== tabId) return;
+      if (!loaded) {
+        loaded = true;
+      } else if (following) {
+        following = false;
+        hop++;
+        if (adClicked && !adLanding && landAd(updatedTab?.url)) return;
+        // interact.js only clicks links whose href isn't denied, but a search
+        // result's href is often the engine's own redirect — so check where
+        // the click actually landed, and end the visit there if it's denied
+        if (isValidUrl(updatedTab?.url) && isDeniedUrl(updatedTab.url, { domains: denied })) {
+          onDenied = true;
+          finish('success', { ...totals, hops: hop, finalUrl: null });
+          return;
+        }
+      } else {
+        return;
+      }
+
+      if (SITE_INFO.get(site)?.js) setTimeout(inject, JS_SITE_SETTLE_MS);
+      else inject();
+    }
+
+    const deniedSources = denied.map(p => domainPatternRegex(p).source);
+
+    function inject() {
+      if (finished) return;
+      const remaining = Math.max(deadline - Date.now(), 1000);
+      const config = {
+        action: 'interact',
+        delay: Math.round(remaining / (hops - hop + 1)),
+        remaining,
+        type,
+        hop,
+        hopsLeft: hops - hop,
+        denied: deniedSources,
+        consent,
+        media,
+        adClick,
+      };
+
+      // Inject the interaction script (interact.js) into the loaded page.
+      // This script will scroll, hover, and maybe click links to simulate
+      // realistic human behavior. See interact.js for full details.
+      chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['interact.js'],
+      }).then(() => {
+        // Tell the injected script to start interacting, passing the
+        // task type, how long it has and how many links it may follow.
+        chrome.tabs.sendMessage(tabId, config).catch(() => {
+          // Content script may not be ready yet — retry once after 500ms.
+          // This is a timing issue where executeScript resolves but the
+          // script hasn't fully initialized its message listener yet.
+          setTimeout(() => {
+            chrome.tabs.sendMessage(tabId, config).catch(() => finish('timeout'));
+          }, 500);
+        });
+      }).catch(() => {
+        // Script injection failed — this happens on restricted pages like
+        // chrome:// URLs, the Chrome Web Store, or pages with strict CSP.
+        // We still count it as a visit (the page loaded and generated
+        // network traffic), just without interaction simulation.
+        setTimeout(() => {
+          addCounts({ bytes_estimated: BYTES_PER_PAGE_FALLBACK });
+          finish('success', { ...totals, hops: hop, finalUrl: null });
+        }, remaining);
+      });
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onCreated.addListener(onCreated);
+
+    // Listen for messages from interact.js: "I'm done" after its interaction
+    // sequence, and "following a link" or "clicking an ad" (with that page's
+    // counts) just before a click that may navigate. Browse pages may also
+    // report links worth visiting later.
+    function onMessage(message, sender) {
+      if (sender.tab?.id !== tabId) return;
+      if (message.action === 'interaction-complete') {
+        addCounts(message.data);
+        const finalUrl = isValidUrl(message.data?.finalUrl) ? message.data.finalUrl : null;
+        finish('success', { ...totals, hops: hop, finalUrl });
+      } else if (message.action === 'hop') {
+        addCounts(message.data);
+        following = hop < hops;
+      } else if (message.action === 'ad-click' && !adClicked) {
+        addCounts(message.data);
+        adClicked = true;
+        following = true; // Unless the ad opens a tab of its own
+      } else if (message.action === 'deep-links' && site) {
+        addDeepLinks(site, message.links, sender.url);
+      }
+    }
+    chrome.runtime.onMessage.addListener(onMessage);
+  });
+}
+
+// Account for one page of a task: bandwidth, budget, and a log entry. Stats
+// count the task as a whole, so executeTask() counts it once, at its first
+// page. `chain` is { step, of, kind, page } for steps of a search chain, else
+// null.
+async function recordVisit(task, step, chain, status, interactions, duration) {
+  const bytes = interactions?.bytes_estimated || BYTES_PER_PAGE_FALLBACK;
+
+  // Track bandwidth for this page load
+  await trackBandwidth(bytes);
+
+  // This page may have pushed usage past a budget — stop right away
+  // rather than at the next alarm tick
+  if (running) await syncHold();
+
+  // Build a descriptive message for the log entry
+  let message;
+  if (task.type === 'search' && step.kind === 'refine') {
+    message = `Refined search to "${step.query}" on ${task.engine}`;
+  } else if (task.type === 'search' && step.kind === 'page') {
+    message = `Opened page ${step.page} of "${step.query}" on ${task.engine}`;
+  } else if (task.type === 'search') {
+    message = `Searched "${step.query}" on ${task.engine}`;
+  } else if (task.type === 'site_search') {
+    message = `Searched "${step.query}" on ${task.engine}'s own search`;
+  } else if (task.type === 'ad_click') {
+    message = `Visited ad-heavy site`;
+  } else {
+    message = task.site && task.url !== task.site ? 'Browsed deeper page' : `Browsed page`;
+  }
+
+  if (chain) {
+    message += ` (step ${chain.step}/${chain.of})`;
+  }
+
+  if (status === 'timeout') {
+    message += ' (timed out)';
+  } else if (status === 'tab_failed') {
+    message += ' (tab failed)';
+  }
+
+  if (interactions) {
+    const parts = [];
+    if (interactions.scrolls) parts.push(`${interactions.scrolls} scrolls`);
+    if (interactions.clicks) parts.push(`${interactions.clicks} clicks`);
+    if (interactions.hops) parts.push(`${interactions.hops} hop${interactions.hops === 1 ? '' : 's'}`);
+    if (interactions.ads) parts.push(`${interactions.ads} ad${interactions.ads === 1 ? '' : 's'} viewed`);
+    if (interactions.adLanding) parts.push(`clicked ad → ${siteDomain(interactions.adLanding)}`);
+    if (interactions.play_ms >= 1000) parts.push(`${Math.round(interactions.play_ms / 1000)}s of video`);
+    if (interactions.consent) parts.push(`${interactions.consent.cmp} banner ${interactions.consent.outcome}`);
+    if (parts.length) message += ` — ${parts.join(', ')}`;
+  }
+
+  // Write the log entry
+  await addLog({
+    timestamp: Date.now(),
+    type: task.type,
+    url: step.url,
+    engine: task.engine || null,
+    query: step.query || null,
+    chain,
+    // Where click-through ended up, if it left the page
+    final_url: interactions?.finalUrl && interactions.finalUrl !== step.url ? interactions.finalUrl : null,
+    // Where a clicked ad led
+    ad_domain: interactions?.adLanding ? siteDomain(interactions.adLanding) : null,
+    duration_ms: duration,
+    interactions: interactions || { scrolls: 0, clicks: 0 },
+    bytes_estimated: bytes,
+    status: status || 'success',
+    message,
+  });
+}
+
+
+// ─── Active-Hours Schedule ──────────────────────────────────────────────────────
+// Turns the weekly schedule into a time-varying rate multiplier. The scheduler
+// multiplies the intensity's lambda by scheduleMultiplier() at each instant,
+// which makes the arrivals a non-homogeneous Poisson process: busy in the
+// evening, near-silent at 4am, and fully silent outside the active windows.
+
+// Is `date` inside one of the schedule's weekly active windows?
+// A window that runs past midnight (start > end) spills into the next day,
+// so Monday 18 → 2 also covers Tuesday 00:00–02:00.
+function isWithinActiveWindow(schedule, date) {
+  const day = date.getDay();
+  const hour = date.getHours() + date.getMinutes() / 60;
+
+  const today = schedule.days[day];
+  if (today?.enabled) {
+    if (today.start <= today.end) {
+      if (hour >= today.start && hour < today.end) return true;
+    } else if (hour >= today.start) {
+      return true;
+    }
+  }
+
+  const yesterday = schedule.days[(day + 6) % 7];
+  if (yesterday?.enabled && yesterday.start > yesterday.end && hour < yesterday.end) {
+    return true;
+  }
+  return false;
+}
+
+// Rate multiplier for `date`: 0 outside the active windows, otherwise the
+// hourly curve value. Each hour's value sits at the middle of that hour and
+// we interpolate linearly between neighbours, so the rate ramps smoothly
+// instead of jumping on the hour.
+function scheduleMultiplier(schedule, date) {
+  if (!schedule?.enabled) return 1;
+  if (!isWithinActiveWindow(schedule, date)) return 0;
+
+  const pos = date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600 - 0.5;
+  const i = Math.floor(pos);
+  const frac = pos - i;
+  const a = schedule.curve[(i + 24) % 24];
+  const b = schedule.curve[(i + 1) % 24];
+  return a + (b - a) * frac;
+}
+
+// Validate a schedule sent from the popup. Returns a normalized copy, or null
+// if anything is malformed — we never store a schedule we can't evaluate.
+function sanitizeSchedule(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (!Array.isArray(value.days) || value.days.length !== 7) return null;
+  if (!Array.isArray(value.curve) || value.curve.length !== 24) return null;
+
+  const days = [];
+  for (const d of value.days) {
+    const start = Number(d?.start);
+    const end = Number(d?.end);
+    if (!Number.isInteger(start) || start < 0 || start > 23) return null;
+    if (!Number.isInteger(end) || end < 1 || end > 24) return null;
+    days.push({ enabled: !!d.enabled, start, end });
+  }
+
+  const curve = [];
+  for (const v of value.curve) {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > SCHEDULE_CURVE_MAX) return null;
+    curve.push(n);
+  }
+
+  return { enabled: !!value.enabled, days, curve };
+}
+
+
+// ─── Browsing Sessions ──────────────────────────────────────────────────────────
+// A two-state Markov-modulated Poisson process layered on top of the
+// scheduler: the engine is either in an "active" browsing session (rate
+// boosted, every task on one topic) or "idle" between sessions (rate 0).
+// The current state is persisted as `browsingSession` = { state, until, topic }
+// so a service worker restart picks up mid-session instead of starting over.
+
+// Draw how long the next state lasts (ms), with the given mean in minutes.
+function sampleSessionDuration(meanMinutes, distribution) {
+  let minutes;
+  if (distribution === 'lognormal') {
+    // Choose mu so the log-normal's mean equals meanMinutes
+    const sigma = SESSION_LOGNORMAL_SIGMA;
+    const mu = Math.log(meanMinutes) - (sigma * sigma) / 2;
+    minutes = Math.exp(mu + sigma * normalRandom());
+  } else {
+    minutes = exponentialRandom(1 / meanMinutes);
+  }
+  // Never shorter than 30s — a zero-length session would just be a blip
+  return Math.max(minutes, 0.5) * 60000;
+}
+
+// Rate multiplier for the current session state. While active, the rate is
+// scaled by (active + idle) / active so the average over a full cycle stays
+// at the intensity the user picked.
+function sessionFactor(settings, session) {
+  if (!settings.enabled) return 1;
+  if (session?.state !== 'active') return 0;
+  const { meanActiveMinutes: active, meanIdleMinutes: idle } = settings;
+  return Math.min((active + idle) / active, SESSION_MAX_BOOST);
+}
+
+// Flip to the next state, starting at `start`. A new session picks one of the
+// enabled categories as its topic by the user's category weights — combined
+// with the persona's interests when there is one.
+async function nextBrowsingSession(prev, settings, start, persona = null) {
+  if (prev?.state === 'active') {
+    const until = start + sampleSessionDuration(settings.meanIdleMinutes, settings.distribution);
+    await logSystem(`Browsing session ended — idle for ~${Math.round((until - start) / 60000)} min`);
+    return { state: 'idle', until, topic: null };
+  }
+
+  const cats = await getCategorySettings();
+  const enabled = SITE_CATEGORIES
+    .filter(cat => cats[cat] > 0)
+    .map(cat => ({ cat, weight: cats[cat] }));
+  const topic = (persona && await pickPersonaCategory(persona)) ||
+    (enabled.length > 0 ? weightedRandom(enabled).cat : null);
+  const until = start + sampleSessionDuration(settings.meanActiveMinutes, settings.distribution);
+  await logSystem(
+    `Browsing session started — topic: ${topic || 'mixed'}, ` +
+    `~${Math.round((until - start) / 60000)} min`
+  );
+  return { state: 'active', until, topic };
+}
+
+// Walk the session state machine across [from, to) and return the pieces of
+// that interval as { start, end, factor, topic } segments. With sessions
+// disabled this is a single segment at factor 1.
+async function planBrowsingSessions(from, to, persona = null) {
+  const settings = await getSessionSettings();
+  if (!settings.enabled) return [{ start: from, end: to, factor: 1, topic: null }];
+
+  let { browsingSession: session } = await chrome.storage.local.get('browsingSession');
+  const segments = [];
+  let cursor = from;
+
+  while (cursor < to) {
+    // Expired (or never started): the next state begins here. If the engine
+    // was off for a while, we don't replay the missed flips — we just move on.
+    if (!session || session.until <= cursor) {
+      session = await nextBrowsingSession(session, settings, cursor, persona);
+    }
+    const end = Math.min(session.until, to);
+    segments.push({ start: cursor, end, factor: sessionFactor(settings, session), topic: session.topic });
+    cursor = end;
+  }
+
+  await chrome.storage.local.set({ browsingSession: session });
+  return segments;
+}
+
+// Validate session settings from the popup. Returns a normalized copy or null.
+function sanitizeSessionSettings(value) {
+  if (!value || typeof value !== 'object') return null;
+  const active = Number(value.meanActiveMinutes);
+  const idle = Number(value.meanIdleMinutes);
+  const inRange = (n) => Number.isFinite(n) && n >= SESSION_MINUTES_MIN && n <= SESSION_MINUTES_MAX;
+  if (!inRange(active) || !inRange(idle)) return null;
+  if (value.distribution !== 'exponential' && value.distribution !== 'lognormal') return null;
+  return {
+    enabled: !!value.enabled,
+    meanActiveMinutes: active,
+    meanIdleMinutes: idle,
+    distribution: value.distribution,
+  };
+}
+
+
+// ─── Persona Rotation ───────────────────────────────────────────────────────────
+// Picks the active persona (see PERSONAS) and shapes tasks around it. The
+// current one is persisted in chrome.storage.local as `activePersona`
+// ({ id, since }) so it survives restarts and only rotates on schedule.
+
+// The persona the engine should use at `now`, rotating (and logging it) when
+// the current one has had its run. Null when personas are off.
+async function getActivePersona(now = Date.now()) {
+  const settings = await getPersonaSettings();
+  if (!settings.enabled) return null;
+
+  const { activePersona } = await chrome.storage.local.get('activePersona');
+  const current = PERSONAS.find(p => p.id === activePersona?.id) || null;
+  const pinned = PERSONAS.find(p => p.id === settings.pinned) || null;
+
+  let next;
+  if (pinned) {
+    if (current === pinned) return pinned;
+    next = pinned;
+  } else {
+    const due = !current || now - activePersona.since >= settings.rotationDays * 86400000;
+    if (!due) return current;
+    next = pickRandom(PERSONAS.filter(p => p !== current));
+  }
+
+  await chrome.storage.local.set({ activePersona: { id: next.id, since: now } });
+  await logSystem(current
+    ? `Persona rotated: ${current.name} → ${next.name}`
+    : `Persona active: ${next.name}`);
+  return next;
+}
+
+// The persona currently in use, without rotating — for the popup, which
+// shouldn't change anything just by being open. Returns { persona, since };
+// persona is null when personas are off or none has been picked yet.
+async function peekActivePersona() {
+  const settings = await getPersonaSettings();
+  if (!settings.enabled) return { persona: null, since: null };
+  const { activePersona } = await chrome.storage.local.get('activePersona');
+  const persona = PERSONAS.find(p => p.id === activePersona?.id) || null;
+  return { persona, since: persona ? activePersona.since : null };
+}
+
+// Rate multiplier for the persona at `date`: 1 during their usual hours,
+// PERSONA_OFF_HOURS_FACTOR outside them.
+function personaActivity(persona, date) {
+  if (!persona) return 1;
+  const hour = date.getHours();
+  const { start, end } = persona.hours;
+  const online = start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+  return online ? 1 : PERSONA_OFF_HOURS_FACTOR;
+}
+
+// Weighted pick of a persona's site category: its interest times the user's
+// category weight, so categories the user turned off never come up. Null if
+// none of its categories are on.
+async function pickPersonaCategory(persona) {
+  const cats = await getCategorySettings();
+  const options = Object.entries(persona.categories)
+    .filter(([cat]) => cats[cat] > 0)
+    .map(([cat, weight]) => ({ cat, weight: weight * cats[cat] }));
+  return options.length > 0 ? weightedRandom(options).cat : null;
+}
+
+// Weighted pick of a persona's search theme.
+function pickPersonaTheme(persona) {
+  const options = Object.entries(persona.themes).map(([cat, weight]) => ({ cat, weight }));
+  return weightedRandom(options).cat;
+}
+
+// Validate persona settings from the popup. Returns a normalized copy or null.
+function sanitizePersonaSettings(value) {
+  if (!value || typeof value !== 'object') return null;
+  const pinned = value.pinned || null;
+  if (pinned && !PERSONAS.some(p => p.id === pinned)) return null;
+  const rotationDays = Number(value.rotationDays);
+  if (!PERSONA_ROTATION_DAYS.includes(rotationDays)) return null;
+  return { enabled: !!value.enabled, pinned, rotationDays };
+}
+
+
+// ─── User Presence ──────────────────────────────────────────────────────────────
+// Pauses the engine based on whether the user is at the machine (see
+// IDLE_MODES). Only chrome.idle's coarse state is used — active, idle or
+// locked — never what the user is doing.
+//
+// The engine is "held" (paused) for either this or a used-up bandwidth
+// budget. While held, the queue is emptied and nothing new is scheduled;
+// tabs already open finish normally. The current hold is kept in
+// chrome.storage.session as `hold` ({ source, message }) so a restarted
+// worker doesn't log the same pause twice.
+
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+
+// Current presence state, queried once per worker and then kept up to date
+// by the onStateChanged listener below.
+async function getUserIdleState() {
+  if (userIdleState === null) {
+    userIdleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  }
+  return userIdleState;
+}
+
+// Why the engine should be paused right now as { source, message }, or null
+// if it may run. A used-up budget wins over presence.
+async function getHold() {
+  const budget = await budgetStatus();
+  if (budget.state === 'exhausted') {
+    return { source: 'budget', message: `${budget.window} bandwidth budget used up` };
+  }
+
+  const mode = await getIdleMode();
+  if (mode === 'always') return null;
+  const state = await getUserIdleState();
+  const away = state !== 'active';
+  let message = null;
+  if (mode === 'idle' && !away) message = 'user is active';
+  if (mode === 'active' && away) message = state === 'locked' ? 'screen is locked' : 'user is idle';
+  return message && { source: 'presence', message };
+}
+
+// Apply the current hold: on entering one, drop queued tasks. Presence
+// pauses and resumes are logged here; budget ones by checkBudget(), which
+// runs first. Returns the hold (null when running freely).
+async function syncHold() {
+  await checkBudget();
+  const hold = await getHold();
+  const { hold: previous = null } = await chrome.storage.session.get('hold');
+  if (hold?.message === previous?.message) return hold;
+
+  await chrome.storage.session.set({ hold });
+  if (hold) await clearQueue();
+  const mode = IDLE_MODES[await getIdleMode()];
+  if (hold?.source === 'presence') {
+    await logSystem(`Noise paused — ${hold.message} (mode: ${mode})`);
+  } else if (!hold && previous?.source === 'presence') {
+    await logSystem(`Noise resumed — user is ${await getUserIdleState()} (mode: ${mode})`);
+  }
+  return hold;
+}
+
+chrome.idle.onStateChanged.addListener(async (state) => {
+  userIdleState = state;
+  await ensureInitialized();
+  if (!running) return;
+  // Pause right away rather than waiting for the next alarm tick; on resume,
+  // fill the queue so noise picks up immediately too
+  const hold = await syncHold();
+  if (!hold) {
+    await scheduleTasks();
+    await armDispatchTimers();
+  }
+});
+
+
+// ─── Adaptive Intensity ─────────────────────────────────────────────────────────
+// Measures how often the user's own tabs finish loading a page so the
+// "adaptive" intensity can track it. Only a per-minute COUNT is kept
+// (`userNavCounts` in chrome.storage.local, minute number → loads); no URL,
+// title or tab identity is ever read or stored. Counting only happens while
+// the engine is running at adaptive intensity, and is cleared on Stop.
+
+let _navLock = Promise.resolve();
+
+// Add one page load to the current minute's bucket and prune old buckets.
+function countUserNavigation() {
+  const run = _navLock.then(async () => {
+    const minute = Math.floor(Date.now() / 60000);
+    const { userNavCounts } = await chrome.storage.local.get('userNavCounts');
+    const counts = userNavCounts || {};
+    counts[minute] = (counts[minute] || 0) + 1;
+    for (const key of Object.keys(counts)) {
+      if (Number(key) <= minute - ADAPTIVE_WINDOW_MINUTES) delete counts[key];
+    }
+    await chrome.storage.local.set({ userNavCounts: counts });
+  });
+  _navLock = run.catch(() => {});
+  return run;
+}
+
+// The user's average page loads per minute over the measurement window.
+async function userNavigationRate() {
+  const minute = Math.floor(Date.now() / 60000);
+  const { userNavCounts } = await chrome.storage.local.get('userNavCounts');
+  let total = 0;
+  for (const [key, count] of Object.entries(userNavCounts || {})) {
+    if (Number(key) > minute - ADAPTIVE_WINDOW_MINUTES) total += count;
+  }
+  return total / ADAPTIVE_WINDOW_MINUTES;
+}
+
+// Derive the adaptive lambda (tasks/minute). Returns the pieces too, so the
+// scheduler can explain the rate in its log line.
+async function adaptiveRate() {
+  const settings = await getAdaptiveSettings();
+  const userRate = await userNavigationRate();
+  const floor = settings.floorPerHour / 60;
+  const ceiling = settings.ceilingPerHour / 60;
+  const raw = userRate * settings.ratio;
+  const lambda = Math.min(ceiling, Math.max(floor, raw));
+  const clamped = lambda > raw ? 'floor' : lambda < raw ? 'ceiling' : null;
+  return { lambda, userRate, settings, clamped };
+}
+
+// Base rate (tasks/minute) for an intensity level, before the schedule and
+// browsing sessions are applied.
+async function resolveLambda(intensity) {
+  if (intensity === 'adaptive') return (await adaptiveRate()).lambda;
+  if (intensity === 'custom') return (await getCustomRate()) / 60;
+  return (Object.hasOwn(INTENSITY_LEVELS, intensity) ? INTENSITY_LEVELS[intensity] : INTENSITY_LEVELS.medium).lambda;
+}
+
+// Validate adaptive settings from the popup. Returns a normalized copy or null.
+function sanitizeAdaptiveSettings(value) {
+  if (!value || typeof value !== 'object') return null;
+  const ratio = Number(value.ratio);
+  const floorPerHour = Number(value.floorPerHour);
+  const ceilingPerHour = Number(value.ceilingPerHour);
+  if (!(ratio > 0 && ratio <= ADAPTIVE_RATIO_MAX)) return null;
+  if (!(floorPerHour >= 0 && ceilingPerHour >= 1)) return null;
+  if (ceilingPerHour > MAX_RATE_PER_HOUR || floorPerHour > ceilingPerHour) return null;
+  return { ratio, floorPerHour, ceilingPerHour };
+}
+
+// A user tab finished loading a page. Noise tabs are ours, so they don't count.
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (changeInfo.status !== 'complete') return;
+  await ensureInitialized();
+  if (!running || noiseTabIds.has(tabId)) return;
+  if ((await getIntensity()) !== 'adaptive') return;
+  await countUserNavigation();
+});
+
+
+// ─── Durable Task Queue ─────────────────────────────────────────────────────────
+// MV3 kills the service worker whenever it feels like it, taking every
+// in-memory timer with it. So the source of truth for scheduled noise is a
+// queue in chrome.storage.local: each task carries a unique `id` and an
+// absolute `fireAt` time. Timers are only a shortcut for "run this soon" —
+// if the worker dies before one fires, the task is still in the queue and
+// reconcileQueue() deals with it on the next wake-up.
+//
+// Stored keys:
+//   taskQueue      — tasks waiting to run, each { id, fireAt, ...task }
+//   scheduledUntil — end of the last window the scheduler generated (ms)
+// plus `noiseTabIds` in chrome.storage.session (cleared on browser restart,
+// so tab IDs from a previous browser run can never match a user's tab).
+
+// Serializes every read-modify-write of the queue. `fn` receives
+// { queue, scheduledUntil } and may mutate or replace either; the result is
+// written back when it resolves. Never call withQueue() from inside `fn`.
+let _queueLock = Promise.resolve();
+
+function withQueue(fn) {
+  const run = _queueLock.then(async () => {
+    const { taskQueue, scheduledUntil } = await chrome.storage.local.get([
+      'taskQueue', 'scheduledUntil',
+    ]);
+    const state = { queue: taskQueue || [], scheduledUntil: scheduledUntil || 0 };
+    const result = await fn(state);
+    await chrome.storage.local.set({
+      taskQueue: state.queue,
+      scheduledUntil: state.scheduledUntil,
+    });
+    return result;
+  });
+  _queueLock = run.catch(() => {});
+  return run;
+}
+
+// Drop everything queued and restart scheduling from now. Timers already set
+// for the dropped tasks find nothing to claim and do nothing.
+async function clearQueue() {
+  await withQueue((state) => {
+    state.queue = [];
+    state.scheduledUntil = 0;
+  });
+}
+
+// Regenerate the queue after a settings change so it takes effect right away.
+async function rescheduleTasks() {
+  await clearQueue();
+  await scheduleTasks();
+  await armDispatchTimers();
+}
+
+// Noise tab bookkeeping — the in-memory Set is what webRequest filters on;
+// the session-storage copy is what a restarted worker uses to clean up.
+async function trackNoiseTab(tabId) {
+  noiseTabIds.add(tabId);
+  await chrome.storage.session.set({ noiseTabIds: [...noiseTabIds] });
+}
+
+async function untrackNoiseTab(tabId) {
+  noiseTabIds.delete(tabId);
+  await chrome.storage.session.set({ noiseTabIds: [...noiseTabIds] });
+}
+
+// Close noise tabs that a previous worker opened but never got to close
+// (their completion listeners died with it). Returns how many were closed.
+async function closeLeftoverNoiseTabs() {
+  const { noiseTabIds: stored } = await chrome.storage.session.get('noiseTabIds');
+  const leftovers = (stored || []).filter(id => !noiseTabIds.has(id));
+  if (leftovers.length === 0) return 0;
+
+  let closed = 0;
+  for (const tabId of leftovers) {
+    try {
+      await chrome.tabs.remove(tabId);
+      closed++;
+    } catch {} // Already gone
+  }
+  await chrome.storage.session.set({ noiseTabIds: [...noiseTabIds] });
+  await chrome.storage.session.remove('poolTabId');
+  return closed;
+}
+
+// After a worker restart: drop stale tasks and re-time overdue ones so they
+// run shortly, one after another, instead of all at once.
+async function reconcileQueue(closedTabs = 0) {
+  const now = Date.now();
+  const { dropped, overdue } = await withQueue((state) => {
+    const before = state.queue.length;
+    state.queue = state.queue.filter(task => task.fireAt >= now - STALE_TASK_MS);
+    let overdue = 0;
+    for (const task of state.queue) {
+      if (task.fireAt < now) {
+        task.fireAt = now + overdue * OVERDUE_STAGGER_MS;
+        overdue++;
+      }
+    }
+    state.queue.sort((a, b) => a.fireAt - b.fireAt);
+    return { dropped: before - state.queue.length, overdue };
+  });
+
+  if (dropped || overdue || closedTabs) {
+    await logSystem(
+      `Recovered after service worker restart — ${overdue} overdue task${overdue === 1 ? '' : 's'} resumed, ` +
+      `${dropped} stale task${dropped === 1 ? '' : 's'} dropped, ` +
+      `${closedTabs} leftover noise tab${closedTabs === 1 ? '' : 's'} closed`
+    );
+  }
+}
+
+// Set a timer for every queued task due before the next alarm tick (plus a
+// little margin). Each task gets at most one timer per worker.
+async function armDispatchTimers() {
+  if (!running) return;
+  const { taskQueue } = await chrome.storage.local.get('taskQueue');
+  const now = Date.now();
+
+  for (const task of taskQueue || []) {
+    if (task.fireAt > now + DISPATCH_HORIZON_MS || armedTaskIds.has(task.id)) continue;
+    armedTaskIds.add(task.id);
+    setTimeout(() => dispatchTask(task.id), Math.max(0, task.fireAt - now));
+  }
+}
+
+// Take a task out of the queue for execution, but only if the tab pool has a
+// free slot — the slot is reserved in the same locked step, so two timers can
+// never both squeeze into the last slot. With `taskId`, claims that task;
+// without, claims the longest-waiting task that is already due.
+async function claimTask(taskId = null) {
+  const capacity = tabPoolCapacity(await getTabPoolSettings());
+  return withQueue((state) => {
+    if (activeTasks >= capacity) return null;
+    let idx;
+    if (taskId) {
+      idx = state.queue.findIndex(t => t.id === taskId);
+    } else {
+      const now = Date.now();
+      idx = -1;
+      state.queue.forEach((t, i) => {
+        if (t.fireAt <= now && (idx < 0 || t.fireAt < state.queue[idx].fireAt)) idx = i;
+      });
+    }
+    if (idx < 0) return null;
+    activeTasks++;
+    return state.queue.splice(idx, 1)[0];
+  });
+}
+
+// Run a claimed task, then free its slot and let the next waiting task in.
+async function runClaimedTask(task) {
+  try {
+    await executeTask(task);
+  } finally {
+    activeTasks--;
+    pumpQueue();
+  }
+}
+
+// Timer callback: run the task if a tab slot is free. If the pool is full,
+// the task simply stays queued (it's due now) and pumpQueue() picks it up
+// when a running task finishes. If it's no longer queued — the engine was
+// stopped or the queue regenerated — there's nothing to do.
+async function dispatchTask(taskId) {
+  armedTaskIds.delete(taskId);
+  if (!running) return;
+  const task = await claimTask(taskId);
+  if (task) await runClaimedTask(task);
+}
+
+// Fill any free tab slots with due tasks that have been waiting for one.
+async function pumpQueue() {
+  while (running) {
+    const task = await claimTask();
+    if (!task) return;
+    runClaimedTask(task); // Not awaited — it frees its own slot when done
+  }
+}
+
+
+// ─── Poisson Scheduling ─────────────────────────────────────────────────────────
+// Tops up the durable task queue using Poisson-process timing.
+//
+// How it works:
+// 1. The alarm fires every 60 seconds
+// 2. We extend the queue from where the last pass stopped (scheduledUntil)
+//    to SCHEDULE_LOOKAHEAD_MS from now — normally about 60s of new time
+// 3. Exponential random inter-arrival times across that window become tasks,
+//    each stamped with its absolute fire time
+// 4. Tasks due before the next tick get a dispatch timer (armDispatchTimers)
+//
+// This means at "medium" intensity (lambda=1.0/min), we get ~1 task per
+// minute on average, but the exact timing is random — sometimes 2 tasks
+// close together, sometimes a longer gap. This randomness is the whole point.
+//
+// With an active-hours schedule the rate changes over time, so we generate
+// the batch by "thinning" (Lewis–Shedler): draw candidate arrivals at the
+// highest rate reached in the window, then keep each candidate with
+// probability rate(t) / maxRate. The survivors are exactly a Poisson process
+// with the time-varying rate rate(t). Browsing sessions plug into the same
+// mechanism: their factor (boosted while active, 0 while idle) is one more
+// term in rate(t).
+
+// Effective rate (tasks/minute) at `date` for the given base lambda.
+function effectiveLambda(lambda, schedule, date) {
+  return lambda * scheduleMultiplier(schedule, date);
+}
+
+async function scheduleTasks() {
+  if (!running || await getHold()) return;
+  await withQueue(async (state) => {
+    const now = Date.now();
+    const windowStart = Math.max(now, state.scheduledUntil);
+    const windowEnd = now + SCHEDULE_LOOKAHEAD_MS;
+    if (windowEnd - windowStart < 1000) return; // Already scheduled this far
+
+    // Back-pressure: if the tab pool can't keep up, don't pile on more work.
+    // The window is skipped (not deferred), like a person too busy to browse.
+    const waiting = state.queue.filter(t => t.fireAt <= now).length;
+    const saturated = waiting >= MAX_WAITING_TASKS;
+    if (saturated !== backlogSaturated) {
+      backlogSaturated = saturated;
+      await logSystem(saturated
+        ? `Tab pool backed up (${waiting} tasks waiting) — pausing scheduling until it drains`
+        : 'Tab pool backlog cleared — scheduling resumed');
+    }
+    if (saturated) {
+      state.scheduledUntil = windowEnd;
+      return;
+    }
+
+    const tasks = await generateWindow(windowStart, windowEnd);
+    state.queue.push(...tasks);
+    state.scheduledUntil = windowEnd;
+  });
+}
+
+// Generate the tasks for [windowStart, windowEnd) — the Poisson part.
+async function generateWindow(windowStart, windowEnd) {
+  const intensity = await getIntensity();
+  const adaptive = intensity === 'adaptive' ? await adaptiveRate() : null;
+  const lambda = adaptive ? adaptive.lambda : await resolveLambda(intensity);
+  const schedule = await getSchedule();
+  const budget = await budgetStatus();
+  const budgetedLambda = lambda * budget.factor;
+  const persona = await getActivePersona(windowStart);
+
+  const windowSec = (windowEnd - windowStart) / 1000;
+  const segments = await planBrowsingSessions(windowStart, windowEnd, persona);
+  const segmentAt = (sec) =>
+    segments.find(seg => windowStart + sec * 1000 < seg.end) || segments[segments.length - 1];
+  const scheduledAt = (sec) => {
+    const date = new Date(windowStart + sec * 1000);
+    return effectiveLambda(budgetedLambda, schedule, date) * personaActivity(persona, date);
+  };
+  const rateAt = (sec) => scheduledAt(sec) * segmentAt(sec).factor;
+
+  // The window's peak rate bounds the candidate process. Sampling every 10s
+  // is finer than anything the hourly curve can do inside a couple of
+  // minutes; session factors are step changes, so we bound them by their max.
+  let maxScheduled = scheduledAt(windowSec);
+  for (let sec = 0; sec < windowSec; sec += 10) {
+    maxScheduled = Math.max(maxScheduled, scheduledAt(sec));
+  }
+  const maxRate = maxScheduled * Math.max(...segments.map(seg => seg.factor));
+
+  // Log when the schedule takes the engine in or out of its quiet period.
+  // (An adaptive lambda of 0 isn't "outside active hours", so it doesn't count.)
+  const quiet = budgetedLambda > 0 && maxScheduled === 0;
+  if (lastScheduleQuiet !== null && quiet !== lastScheduleQuiet) {
+    await logSystem(quiet
+      ? 'Outside active hours — noise paused until the next window'
+      : 'Active hours started — resuming noise');
+  }
+  lastScheduleQuiet = quiet;
+
+  // Generate tasks with Poisson inter-arrival times across the window.
+  // Rates are tasks/minute, so we use rate/60 for tasks/second.
+  const tasks = [];
+  if (maxRate === 0) return tasks; // Outside active hours, or idle between sessions
+  let elapsed = 0;
+  let blocked = 0; // Tasks the denylist left nothing to draw for
+
+  while (elapsed < windowSec) {
+    const gap = exponentialRandom(maxRate / 60);
+    elapsed += gap;
+
+    if (elapsed < windowSec && Math.random() * maxRate < rateAt(elapsed)) {
+      const task = await generateTask({ topic: segmentAt(elapsed).topic, persona });
+      if (!task) {
+        blocked++;
+        continue;
+      }
+      task.id = crypto.randomUUID();
+      task.fireAt = Math.round(windowStart + elapsed * 1000); // absolute time this task should fire
+      tasks.push(task);
+    }
+  }
+
+  // Log how many tasks are queued for this window
+  if (tasks.length > 0) {
+    const rateNote = (rateAt(0) !== lambda ? `, effective: ${rateAt(0).toFixed(2)}/min` : '') +
+      (budget.state === 'throttled' ? `, budget: ×${budget.factor.toFixed(2)}` : '') +
+      (persona ? `, persona: ${persona.name}` : '');
+    const lambdaNote = adaptive
+      ? `${lambda.toFixed(2)}/min from your ${adaptive.userRate.toFixed(2)} loads/min × ${adaptive.settings.ratio}` +
+        (adaptive.clamped ? ` (at ${adaptive.clamped})` : '')
+      : `${lambda}/min`;
+    await logSystem(
+      `Scheduled ${tasks.length} task${tasks.length === 1 ? '' : 's'} ` +
+      `for the next ${Math.round(windowSec)}s (intensity: ${intensity}, lambda: ${lambdaNote}${rateNote})`
+    );
+  }
+  if (blocked > 0) {
+    await logSystem(`Dropped ${blocked} task${blocked === 1 ? '' : 's'} — the denylist blocks almost every site or search`);
+  }
+  return tasks;
+}
+
+// Called every 60 seconds by the Chrome alarm.
+async function onAlarm(alarm) {
+  if (alarm.name !== ALARM_NAME) return;
+  await ensureInitialized();
+  if (!running) return;
+
+  // Paused for the user's presence or a used-up budget — nothing to
+  // schedule until that changes (a budget window rolling over is noticed here)
+  if (await syncHold()) return;
+
+  // Top up the queue, then set timers for everything due before the next tick.
+  await scheduleTasks();
+  await armDispatchTimers();
+  // Catch anything left waiting for a tab (e.g. if a completion was missed)
+  await pumpQueue();
+}
+
+
+// ─── Bandwidth Tracking via webRequest ──────────────────────────────────────────
+// Listens to HTTP response headers from our noise tabs ONLY (filtered by tab ID)
 // to get actual Content-Length values for more accurate bandwidth estimates.
 //
 // IMPORTANT: This listener only fires for tabs in the noiseTabIds set — it does
@@ -959,15 +3832,25 @@ async function startEngine() {
   await saveRunning(true);
   sessionBandwidth = 0;
   await chrome.storage.local.set({ sessionStart: Date.now() });
+  // Begin with a fresh browsing session rather than a stale idle gap
+  await chrome.storage.local.remove('browsingSession');
+  await chrome.storage.session.remove('hold');
+  await chrome.storage.local.remove('budgetState');
+  await clearQueue();
 
   const intensity = await getIntensity();
+  const label = intensity === 'custom'
+    ? `Custom (~${await getCustomRate()}/hr)`
+    : INTENSITY_LEVELS[intensity]?.label;
   await logSystem(
     `Engine started — intensity: ${intensity}, ` +
-    `target rate: ${INTENSITY_LEVELS[intensity]?.label || '?'}`
+    `target rate: ${label || '?'}`
   );
+  await syncHold();
 
   // Generate the first batch of tasks immediately
   await scheduleTasks();
+  await armDispatchTimers();
 
   // Set up recurring alarm to fire every minute for ongoing scheduling.
   // Chrome guarantees minimum period of 1 minute for alarms.
@@ -979,13 +3862,16 @@ async function stopEngine() {
   const taskCount = noiseTabIds.size;
   await saveRunning(false);
   chrome.alarms.clear(ALARM_NAME);
-  pendingTasks = [];
+  await clearQueue();
 
   // Close any noise tabs that are still open
   for (const tabId of noiseTabIds) {
     try { await chrome.tabs.remove(tabId); } catch {}
   }
   noiseTabIds.clear();
+  await chrome.storage.session.set({ noiseTabIds: [] });
+  await chrome.storage.session.remove(['poolTabId', 'hold']);
+  await chrome.storage.local.remove('userNavCounts');
 
   await logSystem(
     `Engine stopped — closed ${taskCount} active noise tab${taskCount === 1 ? '' : 's'}, ` +
@@ -1019,11 +3905,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       // ── Settings updates ──
       // All settings are saved to chrome.storage.local so they persist.
       case 'set-intensity': {
+        if (!Object.hasOwn(INTENSITY_LEVELS, message.value)) {
+          sendResponse({ ok: false, error: 'invalid intensity' });
+          break;
+        }
         const oldIntensity = await getIntensity();
         await chrome.storage.local.set({ intensity: message.value });
         await logSystem(`Intensity changed: ${oldIntensity} -> ${message.value}`);
         // Regenerate scheduled tasks with the new intensity
-        if (running) await scheduleTasks();
+        if (running) await rescheduleTasks();
         sendResponse({ ok: true });
         break;
       }
@@ -1036,19 +3926,309 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ ok: true });
         break;
       }
+      case 'add-custom-engine': {
+        const custom = await getCustomEngines();
+        if (custom.length >= CUSTOM_ENGINES_MAX) {
+          sendResponse({ ok: false, error: `at most ${CUSTOM_ENGINES_MAX} custom engines` });
+          break;
+        }
+        const engines = await getSearchEngines();
+        const engine = sanitizeCustomEngine(message.value, engines);
+        if (!engine) {
+          sendResponse({ ok: false, error: 'needs a name and an http(s) URL containing {query}' });
+          break;
+        }
+        if (engines.some(e => e.name.toLowerCase() === engine.name.toLowerCase())) {
+          sendResponse({ ok: false, error: `there is already an engine called ${engine.name}` });
+          break;
+        }
+        await chrome.storage.local.set({ customEngines: [...custom, engine] });
+        await logSystem(`Custom search engine added: ${engine.name} (${engine.url})`);
+        sendResponse({ ok: true, engine });
+        break;
+      }
+      case 'remove-custom-engine': {
+        const custom = await getCustomEngines();
+        const engine = custom.find(e => e.id === message.value);
+        if (!engine) {
+          sendResponse({ ok: false, error: 'no such custom engine' });
+          break;
+        }
+        const { engineSettings } = await chrome.storage.local.get('engineSettings');
+        if (engineSettings) delete engineSettings[engine.id];
+        await chrome.storage.local.set({
+          customEngines: custom.filter(e => e !== engine),
+          ...(engineSettings && { engineSettings }),
+        });
+        await logSystem(`Custom search engine removed: ${engine.name}`);
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'release-site': {
+        if (!await releaseSite(message.value)) {
+          sendResponse({ ok: false, error: 'not quarantined' });
+          break;
+        }
+        await logSystem(`Released ${message.value} from quarantine`);
+        if (running) await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-locales': {
+        const settings = sanitizeLocaleSettings(message.value);
+        if (!settings) {
+          sendResponse({ ok: false, error: 'invalid locale settings (at least one must be enabled)' });
+          break;
+        }
+        await chrome.storage.local.set({ localeSettings: settings });
+        const enabled = LOCALE_PACKS
+          .filter(p => settings[p.id].enabled)
+          .map(p => `${p.id} (${settings[p.id].weight})`);
+        await logSystem(`Locales updated: ${enabled.join(', ')}`);
+        if (running) await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
       case 'set-task-weights': {
         await chrome.storage.local.set({ taskWeights: message.value });
         const w = message.value;
-        await logSystem(`Task mix updated: search=${w.search}, browse=${w.browse}, ad=${w.ad_click}`);
+        await logSystem(
+          `Task mix updated: search=${w.search}, browse=${w.browse}, site search=${w.site_search}, ad=${w.ad_click}`
+        );
         sendResponse({ ok: true });
         break;
       }
       case 'set-categories': {
-        await chrome.storage.local.set({ categorySettings: message.value });
-        const enabled = Object.entries(message.value)
-          .filter(([, v]) => v)
-          .map(([k]) => k);
+        const weights = sanitizeCategorySettings(message.value);
+        if (!weights) {
+          sendResponse({ ok: false, error: 'Invalid category weights' });
+          break;
+        }
+        // New targets — start counting the actual mix afresh
+        await chrome.storage.local.set({ categorySettings: weights, categoryCounts: {} });
+        const enabled = Object.entries(weights)
+          .filter(([, w]) => w > 0)
+          .map(([cat, w]) => `${cat}=${w}`);
         await logSystem(`Site categories updated: ${enabled.join(', ')}`);
+        if (running) await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-schedule': {
+        const schedule = sanitizeSchedule(message.value);
+        if (!schedule) {
+          sendResponse({ ok: false, error: 'invalid schedule' });
+          break;
+        }
+        await chrome.storage.local.set({ schedule });
+        await logSystem(`Active-hours schedule ${schedule.enabled ? 'updated' : 'disabled'}`);
+        // Regenerate scheduled tasks so the new curve applies immediately
+        if (running) await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-persona-settings': {
+        const settings = sanitizePersonaSettings(message.value);
+        if (!settings) {
+          sendResponse({ ok: false, error: 'invalid persona settings' });
+          break;
+        }
+        await chrome.storage.local.set({ personaSettings: settings });
+        const pinned = PERSONAS.find(p => p.id === settings.pinned);
+        await logSystem(!settings.enabled
+          ? 'Personas disabled'
+          : pinned
+            ? `Personas enabled — fixed on ${pinned.name}`
+            : `Personas enabled — rotating every ${settings.rotationDays} day${settings.rotationDays === 1 ? '' : 's'}`);
+        if (running) await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-custom-sites':
+      case 'set-custom-terms': {
+        const isSites = message.action === 'set-custom-sites';
+        const result = isSites
+          ? sanitizeCustomSites(message.value)
+          : sanitizeCustomTerms(message.value);
+        if (!result) {
+          sendResponse({ ok: false, error: `invalid ${isSites ? 'site' : 'search term'} list` });
+          break;
+        }
+        const { rejected, ...saved } = result;
+        await chrome.storage.local.set({ [isSites ? 'customSites' : 'customTerms']: saved });
+        await logSystem(
+          `Custom ${isSites ? 'sites' : 'search terms'} updated: ${saved.entries.length} saved` +
+          (rejected.length ? `, ${rejected.length} rejected` : '') +
+          (saved.replaceDefaults ? ' (replacing built-in list)' : '')
+        );
+        // A few examples are enough for the popup to point at the problem
+        sendResponse({
+          ok: true, saved: saved.entries.length,
+          rejectedCount: rejected.length, rejected: rejected.slice(0, 5),
+        });
+        break;
+      }
+      case 'set-denylist': {
+        const result = sanitizeDenylist(message.value);
+        if (!result) {
+          sendResponse({ ok: false, error: 'invalid denylist' });
+          break;
+        }
+        const { rejected, ...saved } = result;
+        await chrome.storage.local.set({ denylist: saved });
+        await logSystem(
+          `Denylist updated: ${saved.domains.length} domains, ${saved.keywords.length} keywords` +
+          (rejected.length ? `, ${rejected.length} rejected` : '')
+        );
+        // Queued tasks were drawn under the old list
+        if (running) await rescheduleTasks();
+        sendResponse({
+          ok: true, saved: saved.domains.length + saved.keywords.length,
+          rejectedCount: rejected.length, rejected: rejected.slice(0, 5),
+        });
+        break;
+      }
+      case 'set-custom-rate': {
+        const perHour = Number(message.value);
+        if (!Number.isFinite(perHour) || perHour < 1 || perHour > MAX_RATE_PER_HOUR) {
+          sendResponse({ ok: false, error: `custom rate must be 1–${MAX_RATE_PER_HOUR} per hour` });
+          break;
+        }
+        await chrome.storage.local.set({ customRatePerHour: perHour });
+        await logSystem(`Custom intensity set to ~${perHour}/hr`);
+        if (running && (await getIntensity()) === 'custom') await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-max-hops': {
+        const maxHops = Number(message.value);
+        if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > MAX_HOPS_LIMIT) {
+          sendResponse({ ok: false, error: `click-through must be 1–${MAX_HOPS_LIMIT} links` });
+          break;
+        }
+        await chrome.storage.local.set({ maxHops });
+        await logSystem(`Click-through set to up to ${maxHops} link${maxHops === 1 ? '' : 's'} per page visit`);
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-ad-click-chance': {
+        const adClickPercent = Number(message.value);
+        if (!Number.isInteger(adClickPercent) || adClickPercent < 0 || adClickPercent > 100) {
+          sendResponse({ ok: false, error: 'ad click-through must be 0–100%' });
+          break;
+        }
+        await chrome.storage.local.set({ adClickPercent });
+        await logSystem(adClickPercent
+          ? `Ad visits now click an ad through ${adClickPercent}% of the time`
+          : 'Ad click-through disabled');
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-media-playback': {
+        const mediaPlayback = !!message.value;
+        await chrome.storage.local.set({ mediaPlayback });
+        await logSystem(`Video playback ${mediaPlayback ? 'enabled' : 'disabled'}`);
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-consent-mode': {
+        if (!Object.hasOwn(CONSENT_MODES, message.value)) {
+          sendResponse({ ok: false, error: 'invalid consent mode' });
+          break;
+        }
+        await chrome.storage.local.set({ consentMode: message.value });
+        await logSystem(`Consent banners: ${CONSENT_MODES[message.value]}`);
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-delay-ranges': {
+        const ranges = sanitizeDelayRanges(message.value);
+        if (!ranges) {
+          sendResponse({ ok: false, error: 'invalid dwell time ranges' });
+          break;
+        }
+        await chrome.storage.local.set({ delayRanges: ranges });
+        const parts = Object.entries(ranges)
+          .map(([type, [min, max]]) => `${type} ${min / 1000}–${max / 1000}s`);
+        await logSystem(`Dwell times updated: ${parts.join(', ')}`);
+        // Already-queued tasks keep their dwell time; new ones use the ranges
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-adaptive-settings': {
+        const settings = sanitizeAdaptiveSettings(message.value);
+        if (!settings) {
+          sendResponse({ ok: false, error: 'invalid adaptive settings' });
+          break;
+        }
+        await chrome.storage.local.set({ adaptiveSettings: settings });
+        await logSystem(
+          `Adaptive intensity updated: ${settings.ratio}× your browsing rate, ` +
+          `${settings.floorPerHour}–${settings.ceilingPerHour}/hr`
+        );
+        if (running && (await getIntensity()) === 'adaptive') await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-bandwidth-budgets': {
+        const budgets = sanitizeBandwidthBudgets(message.value);
+        if (!budgets) {
+          sendResponse({ ok: false, error: 'invalid bandwidth budgets' });
+          break;
+        }
+        await chrome.storage.local.set({ bandwidthBudgets: budgets });
+        const parts = Object.entries(BUDGET_WINDOWS)
+          .map(([window, w]) => `${window} ${budgets[w.budgetKey] || '∞'}`);
+        await logSystem(`Bandwidth budgets updated (MB): ${parts.join(', ')}`);
+        // A new limit may throttle, stop or release the engine right away
+        if (running && !(await syncHold())) await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-idle-mode': {
+        if (!Object.hasOwn(IDLE_MODES, message.value)) {
+          sendResponse({ ok: false, error: 'invalid idle mode' });
+          break;
+        }
+        await chrome.storage.local.set({ idleMode: message.value });
+        await logSystem(`Idle mode changed: run ${IDLE_MODES[message.value]}`);
+        if (running && !(await syncHold())) await rescheduleTasks();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-tab-pool': {
+        const settings = sanitizeTabPoolSettings(message.value);
+        if (!settings) {
+          sendResponse({ ok: false, error: 'invalid tab pool settings' });
+          break;
+        }
+        await chrome.storage.local.set({ tabPoolSettings: settings });
+        // Switching reuse off: close the idle pool tab now (a busy one is
+        // closed by releaseNoiseTab when its task finishes)
+        if (!settings.reuseTab && !poolTabBusy) await closePoolTab();
+        await logSystem(
+          `Tab pool updated: max ${settings.maxTabs} tab${settings.maxTabs === 1 ? '' : 's'}` +
+          (settings.reuseTab ? ', reusing one tab' : '')
+        );
+        if (running) await pumpQueue();
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'set-session-settings': {
+        const settings = sanitizeSessionSettings(message.value);
+        if (!settings) {
+          sendResponse({ ok: false, error: 'invalid session settings' });
+          break;
+        }
+        await chrome.storage.local.set({ sessionSettings: settings });
+        await chrome.storage.local.remove('browsingSession');
+        await logSystem(
+          settings.enabled
+            ? `Browsing sessions updated: ~${settings.meanActiveMinutes} min sessions, ` +
+              `~${settings.meanIdleMinutes} min gaps (${settings.distribution})`
+            : 'Browsing sessions disabled'
+        );
+        if (running) await rescheduleTasks();
         sendResponse({ ok: true });
         break;
       }
@@ -1057,12 +4237,63 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'get-status': {
         const state = await loadState();
         const stats = await getStats();
+        const intensity = state.intensity || 'medium';
+        const adaptive = intensity === 'adaptive' ? await adaptiveRate() : null;
+        const lambda = adaptive ? adaptive.lambda : await resolveLambda(intensity);
+        const schedule = await getSchedule();
+        const budget = await budgetStatus();
+        const personaSettings = await getPersonaSettings();
+        const { persona, since: personaSince } = await peekActivePersona();
+        const sessionSettings = await getSessionSettings();
+        const { browsingSession } = await chrome.storage.local.get('browsingSession');
+        const session = browsingSession?.until > Date.now() ? browsingSession : null;
+        const tabPoolSettings = await getTabPoolSettings();
+        const { taskQueue } = await chrome.storage.local.get('taskQueue');
+        const { hold = null } = await chrome.storage.session.get('hold');
+        const { categoryCounts = {} } = await chrome.storage.local.get('categoryCounts');
+        const targets = await categoryTargets();
+        const idleMode = await getIdleMode();
+        const now = Date.now();
         sendResponse({
           running,
-          intensity: state.intensity || 'medium',
+          intensity,
           stats,
           sessionBandwidth,
           sessionStart: state.sessionStart || null,
+          // Current tasks/minute after the active-hours schedule and the
+          // browsing-session state are applied
+          effectiveRate: effectiveLambda(lambda * budget.factor, schedule, new Date()) *
+            personaActivity(persona, new Date()) *
+            sessionFactor(sessionSettings, session),
+          scheduleEnabled: !!schedule.enabled,
+          browsingSession: sessionSettings.enabled ? session : null,
+          tabPool: {
+            active: activeTasks,
+            max: tabPoolCapacity(tabPoolSettings),
+            reuse: tabPoolSettings.reuseTab,
+            open: noiseTabIds.size,
+            waiting: (taskQueue || []).filter(t => t.fireAt <= now).length,
+            queued: (taskQueue || []).length,
+          },
+          // Measured user rate behind the adaptive level (tasks/loads per minute)
+          adaptive: adaptive ? { userRate: adaptive.userRate, lambda } : null,
+          budget,
+          persona: persona && {
+            name: persona.name,
+            pinned: personaSettings.pinned === persona.id,
+            rotatesAt: personaSince + personaSettings.rotationDays * 86400000,
+          },
+          presence: {
+            mode: idleMode,
+            label: IDLE_MODES[idleMode], // How the mode reads in the status line
+            state: await getUserIdleState(),
+            paused: running && hold?.source === 'presence' ? hold.message : null,
+          },
+          // Browse tasks per category since the weights last changed, next
+          // to the share the weights aim for
+          categoryMix: SITE_CATEGORIES.map(cat => ({
+            category: cat, target: targets[cat], count: categoryCounts[cat] || 0,
+          })),
         });
         break;
       }
@@ -1084,9 +4315,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       case 'get-settings': {
         const engines = await getEngineSettings();
+        const engineRegistry = (await getSearchEngines())
+          .map(({ id, name, url, custom }) => ({ id, name, url, custom: !!custom }));
         const weights = await getTaskWeights();
         const categories = await getCategorySettings();
-        sendResponse({ engines, taskWeights: weights, categories });
+        // Only categories with sites to browse get a slider
+        const sitePool = await getSitePool();
+        const siteCategories = SITE_CATEGORIES.filter(cat => sitePool[cat].length > 0);
+        const schedule = await getSchedule();
+        const sessionSettings = await getSessionSettings();
+        const tabPoolSettings = await getTabPoolSettings();
+        const idleMode = await getIdleMode();
+        const adaptiveSettings = await getAdaptiveSettings();
+        const bandwidthBudgets = await getBandwidthBudgets();
+        const customRatePerHour = await getCustomRate();
+        const delayRanges = await getDelayRanges();
+        const maxHops = await getMaxHops();
+        const consentMode = await getConsentMode();
+        const mediaPlayback = await getMediaPlayback();
+        const adClickPercent = await getAdClickPercent();
+        const customSites = await getCustomSites();
+        const customTerms = await getCustomTerms();
+        const personaSettings = await getPersonaSettings();
+        const localeSettings = await getLocaleSettings();
+        const quarantine = await getQuarantine();
+        const denylist = await getDenylist();
+        sendResponse({
+          engines, engineRegistry, taskWeights: weights, categories, siteCategories, schedule, sessionSettings, tabPoolSettings,
+          idleMode, adaptiveSettings, bandwidthBudgets, customRatePerHour, delayRanges, maxHops,
+          consentMode, mediaPlayback, adClickPercent, customSites, customTerms, personaSettings,
+          personas: PERSONAS.map(p => ({ id: p.id, name: p.name })),
+          personaRotationDays: PERSONA_ROTATION_DAYS,
+          localeSettings, locales: LOCALE_PACKS.map(p => ({ id: p.id, name: p.name })),
+          quarantine, denylist,
+        });
         break;
       }
 
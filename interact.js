@@ -4,18 +4,40 @@
 // ║  WHAT THIS FILE DOES:                                                      ║
 // ║  This script is injected into noise tabs (and ONLY noise tabs) by the      ║
 // ║  background service worker. It simulates realistic human browsing:         ║
-// ║    - Scrolls the page (2–4 times, with varied speed like a human skimming) ║
-// ║    - Hovers over elements (triggers tracking pixels / analytics)           ║
+// ║    - Scrolls the page (2–4 wheel-style bursts, sometimes scrolling back)   ║
+// ║    - Moves the pointer along curved, jittery paths to hover over elements  ║
+// ║      (triggers tracking pixels / analytics) and to the links it clicks     ║
+// ║    - Answers a cookie consent banner from a known consent platform —       ║
+// ║      accept all, reject all or leave it, as the user chose                 ║
+// ║    - On entertainment and sports pages, may play a video — always muted —  ║
+// ║      for part of the visit                                                 ║
+// ║    - On ad-heavy pages, scrolls ad slots into view and hovers them, and    ║
+// ║      may click one through (only if the user set an ad click chance)       ║
 // ║    - Occasionally clicks a link (~30% on normal pages, ~50% on search)     ║
-// ║    - Waits between actions (simulating reading time)                        ║
+// ║    - May keep clicking on the pages a click leads to (the background       ║
+// ║      injects this script again into each one, up to a set number of hops)  ║
+// ║    - Pauses to "read", longer the more text is on screen — measured from   ║
+// ║      element sizes only, never by reading the text itself                  ║
+// ║    - On browse pages, reports a few same-origin article links it sees, so  ║
+// ║      later browse tasks can go past the homepage (URLs only — see below)   ║
 // ║                                                                            ║
 // ║  WHAT THIS FILE DOES NOT DO:                                               ║
 // ║  - Does NOT read any page content, form data, passwords, or cookies        ║
-// ║  - Does NOT extract or store any information from the pages it visits       ║
+// ║  - Does NOT extract or store anything from the pages beyond those links    ║
 // ║  - Does NOT send any data anywhere except back to the Poisson background   ║
-// ║    script (scroll count + click count + estimated page size)               ║
-// ║  - Does NOT modify the page in any visible way                             ║
-// ║  - Only clicks same-origin links (never follows cross-origin redirects)    ║
+// ║    script (scroll count + click count + estimated page size, and on browse ║
+// ║    pages up to 5 same-origin link URLs with query and #fragment removed —  ║
+// ║    never link text or any other page content)                              ║
+// ║    After click-through it also reports the hop count and the URL of the    ║
+// ║    page it ended on — the noise tab's own address, nothing from the page   ║
+// ║    Consent banners are reported only as the platform's name and how the    ║
+// ║    banner was answered, video only as how long it played, and ads only     ║
+// ║    as how many slots were viewed                                           ║
+// ║  - Does NOT modify the page in any visible way (beyond what answering a    ║
+// ║    consent banner or playing a video does)                                 ║
+// ║  - Only clicks same-origin links (never follows cross-origin redirects) —  ║
+// ║    apart from an ad's own link, which leads to the advertiser              ║
+// ║  - Never clicks into a domain on the user's denylist                       ║
 // ║  - Is automatically removed when the tab is closed by the background script║
 // ║                                                                            ║
 // ║  WHY SIMULATE INTERACTIONS?                                                ║
@@ -33,9 +55,18 @@
   // These track what this script has done so we can report back to the
   // background script when we're finished.
 
-  let config = null;   // Received from background: { delay, type }
+  // Received from background: { delay, remaining, type, hop, hopsLeft,
+  // denied, consent, media, adClick } — `delay` is this page's share of the
+  // `remaining` dwell time if it clicks through, `hop` how many links led
+  // here, `media` whether it may play a video, `adClick` the chance it
+  // clicks an ad.
+  let config = null;
   let scrollCount = 0; // How many times we scrolled
   let clickCount = 0;  // How many links we clicked
+  let consent = null;  // { cmp, outcome } if we met a consent banner
+  let playMs = 0;      // How long video played
+  let adsViewed = 0;   // How many ad slots we brought into view
+  let deniedHosts = []; // Denylist patterns as RegExps, from config.denied
 
   // ─── Utility Functions ──────────────────────────────────────────────────────
 
@@ -93,12 +124,196 @@
     return [];
   }
 
+  // True if `href` is on a domain matching one of the user's denylist
+  // patterns — `deniedHosts`, compiled once from the regex sources the
+  // background sends in config.denied.
+  function isDenied(href) {
+    let host;
+    try {
+      host = new URL(href, location.href).hostname.toLowerCase();
+    } catch {
+      return true;
+    }
+    return deniedHosts.some(regex => regex.test(host));
+  }
+
+  // ─── Deep-Link Sampling ─────────────────────────────────────────────────────
+  // Pick a few same-origin links that look like articles (not login, cart,
+  // legal pages or files). Only origin + path is kept: query strings can
+  // carry session ids, and fragments are just in-page anchors.
+
+  const DEEP_LINK_SAMPLE = 5;
+  const NOT_ARTICLE = /\/(login|signin|sign-in|signup|register|account|cart|checkout|search|privacy|terms|cookies?|contact|subscribe|newsletter|help|legal)(\/|$)/i;
+  const FILE_EXTENSION = /\.(pdf|jpe?g|png|gif|webp|svg|zip|mp[34]|xml|rss)$/i;
+
+  // Articles tend to sit a few levels down, or have a long slug or an id.
+  function looksLikeArticle(url) {
+    const path = url.pathname;
+    if (path === '/' || NOT_ARTICLE.test(path) || FILE_EXTENSION.test(path)) return false;
+    const segments = path.split('/').filter(Boolean);
+    return segments.length >= 2 || (segments[0]?.length >= 12 && /[-_]/.test(segments[0])) || /\d{4,}/.test(path);
+  }
+
+  function sampleDeepLinks() {
+    const found = new Set();
+    for (const link of getVisibleLinks()) {
+      const url = new URL(link.href, location.origin);
+      if (looksLikeArticle(url)) found.add(url.origin + url.pathname);
+    }
+    // Shuffle so the sample isn't always the navigation bar
+    const links = [...found];
+    for (let i = links.length - 1; i > 0; i--) {
+      const j = randomInt(0, i);
+      [links[i], links[j]] = [links[j], links[i]];
+    }
+    return links.slice(0, DEEP_LINK_SAMPLE);
+  }
+
   // ─── Interaction Simulation ────────────────────────────────────────────────
+  // Everything here is driven by element geometry (getBoundingClientRect,
+  // elementFromPoint) — never by reading text.
+
+  const WHEEL_NOTCH_PX = 100;        // One mouse-wheel notch, roughly
+  const SCROLL_BACK_CHANCE = 0.15;   // Per wheel burst: go back up a little
+  const READ_MS_PER_SCREEN = 4000;   // Time to read a screenful of text
+  const TEXT_BLOCKS = 'p, li, h1, h2, h3, h4, blockquote, pre, td, figcaption';
+  const MEDIA_BLOCKS = 'img, video, picture';
+
+  // Where our virtual cursor is, and the element it's over. It starts
+  // somewhere in the window, as if the mouse was already there.
+  const pointer = {
+    x: randomInt(0, window.innerWidth - 1),
+    y: randomInt(0, window.innerHeight - 1),
+    over: null,
+  };
+
+  function mouseEvent(type, x, y, extra = {}) {
+    return new MouseEvent(type, {
+      bubbles: type !== 'mouseenter' && type !== 'mouseleave',
+      cancelable: true, view: window, clientX: x, clientY: y, ...extra,
+    });
+  }
+
+  // Move the cursor one step: mousemove on whatever is under it, plus
+  // out/leave and over/enter when that changes, as a real cursor would.
+  function pointerStep(x, y) {
+    pointer.x = x;
+    pointer.y = y;
+    const under = document.elementFromPoint(x, y);
+    if (under !== pointer.over) {
+      if (pointer.over) {
+        pointer.over.dispatchEvent(mouseEvent('mouseout', x, y));
+        pointer.over.dispatchEvent(mouseEvent('mouseleave', x, y));
+      }
+      if (under) {
+        under.dispatchEvent(mouseEvent('mouseover', x, y));
+        under.dispatchEvent(mouseEvent('mouseenter', x, y));
+      }
+      pointer.over = under;
+    }
+    under?.dispatchEvent(mouseEvent('mousemove', x, y));
+  }
+
+  // Glide the cursor to a point inside `element` along a curved path: a
+  // Bézier with its control points pushed off the straight line, a
+  // minimum-jerk speed profile (slow start, fast middle, slow finish), a
+  // pixel or two of hand jitter per step, and more time for longer moves
+  // and smaller targets (Fitts' law). Resolves false if the element isn't
+  // on screen.
+  async function movePointerTo(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.bottom < 0 || rect.top > window.innerHeight ||
+        rect.right < 0 || rect.left > window.innerWidth) {
+      return false;
+    }
+    // Aim near the middle, not dead centre
+    const tx = rect.left + rect.width * (0.3 + Math.random() * 0.4);
+    const ty = rect.top + rect.height * (0.3 + Math.random() * 0.4);
+    const sx = pointer.x;
+    const sy = pointer.y;
+    const dx = tx - sx;
+    const dy = ty - sy;
+    const distance = Math.hypot(dx, dy);
+
+    // Control points at 1/3 and 2/3 of the way, bowed to one side
+    const bow = (Math.random() - 0.5) * 0.6 * distance;
+    const nx = distance ? -dy / distance : 0;
+    const ny = distance ? dx / distance : 0;
+    const c1 = { x: sx + dx / 3 + nx * bow, y: sy + dy / 3 + ny * bow };
+    const c2 = { x: sx + 2 * dx / 3 + nx * bow * 0.5, y: sy + 2 * dy / 3 + ny * bow * 0.5 };
+
+    const duration = 200 + 150 * Math.log2(distance / Math.max(Math.min(rect.width, rect.height), 8) + 1);
+    const steps = Math.max(5, Math.round(duration / 16));
+    for (let i = 1; i <= steps; i++) {
+      const s = i / steps;
+      const t = 10 * s ** 3 - 15 * s ** 4 + 6 * s ** 5;
+      const u = 1 - t;
+      const jitter = i < steps ? 1.5 : 0;
+      const x = u ** 3 * sx + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t ** 3 * tx;
+      const y = u ** 3 * sy + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t ** 3 * ty;
+      pointerStep(x + (Math.random() - 0.5) * 2 * jitter, y + (Math.random() - 0.5) * 2 * jitter);
+      await sleep(randomInt(10, 22));
+    }
+    return true;
+  }
 
-  // Simulate smooth scrolling to a random position on the page.
-  // Uses an ease-in-out curve to look like natural human scrolling
-  // rather than an instant jump.
-  async function simulateScroll() {
+  // Move the cursor onto an element. The path fires mousemove/mouseover/
+  // mouseenter along the way, which triggers hover listeners (analytics,
+  // tracking pixels, hover-state ad loads, etc.) the way a real cursor does.
+  // If something covers the element, it still gets its own over/enter.
+  async function simulateHover(element) {
+    if (!element || !await movePointerTo(element)) return false;
+    if (pointer.over !== element && !element.contains(pointer.over)) {
+      element.dispatchEvent(mouseEvent('mouseover', pointer.x, pointer.y));
+      element.dispatchEvent(mouseEvent('mouseenter', pointer.x, pointer.y));
+    }
+    return true;
+  }
+
+  // One wheel notch: a wheel event under the cursor, then the ~100px of
+  // scrolling it causes, spread over a few frames like smooth scrolling.
+  async function wheelNotch(direction) {
+    const deltaY = direction * Math.round(WHEEL_NOTCH_PX * (0.9 + Math.random() * 0.2));
+    const target = document.elementFromPoint(pointer.x, pointer.y) || document.body;
+    target.dispatchEvent(new WheelEvent('wheel', {
+      bubbles: true, cancelable: true, view: window,
+      clientX: pointer.x, clientY: pointer.y, deltaY, deltaMode: 0,
+    }));
+    const frames = randomInt(3, 6);
+    for (let i = 0; i < frames; i++) {
+      window.scrollBy(0, deltaY / frames);
+      await sleep(randomInt(12, 20));
+    }
+  }
+
+  // Scroll to `targetY` the way a wheel does: bursts of a few notches with
+  // short gaps inside a burst and longer ones between bursts. Now and then
+  // a burst is followed by a notch or two back up, as if re-reading. Stops
+  // between notches once `until` has passed, wherever the page has got to —
+  // a long page can take many bursts.
+  async function wheelScrollTo(targetY, until) {
+    for (let burst = 0; burst < 30 && Date.now() < until; burst++) {
+      const gap = targetY - window.scrollY;
+      if (Math.abs(gap) < WHEEL_NOTCH_PX / 2) break;
+      const direction = Math.sign(gap);
+      const notches = Math.min(randomInt(2, 6), Math.ceil(Math.abs(gap) / WHEEL_NOTCH_PX));
+      const before = window.scrollY;
+      for (let i = 0; i < notches && Date.now() < until; i++) {
+        await wheelNotch(direction);
+        await sleep(randomInt(30, 90));
+      }
+      if (window.scrollY === before) break; // Page won't scroll any further
+      if (Math.random() < SCROLL_BACK_CHANCE) {
+        await sleep(randomInt(200, 500));
+        for (let i = randomInt(1, 2); i > 0 && Date.now() < until; i--) await wheelNotch(-direction);
+      }
+      await sleep(randomInt(150, 600));
+    }
+  }
+
+  // Scroll to a random position on the page (within the top 80%), giving up
+  // where it's got to at `until`.
+  async function simulateScroll(until) {
     const docHeight = Math.max(
       document.body.scrollHeight,
       document.documentElement.scrollHeight,
@@ -108,62 +323,267 @@
     const maxScroll = docHeight - viewHeight;
     if (maxScroll <= 0) return; // Page is too short to scroll
 
-    // Pick a random scroll target (within the top 80% of the page)
-    const targetY = randomInt(100, Math.min(maxScroll, docHeight * 0.8));
-    const steps = randomInt(8, 20); // More steps = smoother scroll
-    const startY = window.scrollY;
-    const distance = targetY - startY;
-
-    // Animate the scroll with ease-in-out timing
-    for (let i = 1; i <= steps; i++) {
-      const t = i / steps;
-      // Quadratic ease-in-out: accelerates then decelerates
-      const ease = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
-      window.scrollTo(0, startY + distance * ease);
-      // Small random delay between scroll steps (20–80ms) to look human
-      await sleep(randomInt(20, 80));
-    }
+    await wheelScrollTo(randomInt(100, Math.min(maxScroll, docHeight * 0.8)), until);
     scrollCount++;
   }
 
-  // Dispatch mouse events on an element to simulate a cursor hovering over it.
-  // This triggers any mouseover/mouseenter event listeners (analytics, tracking
-  // pixels, hover-state ad loads, etc.) that the page might have.
-  function simulateHover(element) {
-    if (!element) return;
-    const rect = element.getBoundingClientRect();
-    const x = rect.left + rect.width / 2;
-    const y = rect.top + rect.height / 2;
-
-    // Fire the standard sequence of mouse events that a real cursor would trigger
-    const events = ['mousemove', 'mouseover', 'mouseenter'];
-    for (const eventType of events) {
-      element.dispatchEvent(new MouseEvent(eventType, {
-        bubbles: true, cancelable: true, view: window,
-        clientX: x, clientY: y,
-      }));
-    }
+  // How much there is to read on screen, in screenfuls: the on-screen area
+  // of text blocks over the window's area, with images and video counting a
+  // quarter as much (they're taken in faster). Element boxes only.
+  function visibleReadingLoad() {
+    const viewArea = window.innerWidth * window.innerHeight;
+    let area = 0;
+    const measure = (selector, weight) => {
+      for (const el of Array.from(document.querySelectorAll(selector)).slice(0, 300)) {
+        const r = el.getBoundingClientRect();
+        const w = Math.min(r.right, window.innerWidth) - Math.max(r.left, 0);
+        const h = Math.min(r.bottom, window.innerHeight) - Math.max(r.top, 0);
+        if (w > 0 && h > 0) area += w * h * weight;
+      }
+    };
+    measure(TEXT_BLOCKS, 1);
+    measure(MEDIA_BLOCKS, 0.25);
+    return Math.min(area / viewArea, 1);
+  }
+
+  // Pause as if reading what's on screen: a short glance on a near-empty
+  // view, up to READ_MS_PER_SCREEN for a screenful of text, give or take
+  // 30% — but never past `budgetMs`.
+  async function readingPause(budgetMs) {
+    const ms = (600 + visibleReadingLoad() * READ_MS_PER_SCREEN) * (0.7 + Math.random() * 0.6);
+    await sleep(Math.max(0, Math.min(ms, budgetMs)));
   }
 
-  // Hover over 2–5 random interactive elements on the page.
+  // Hover over 2–5 random interactive elements that are on screen.
   // This triggers tracking pixels and analytics that fire on hover events.
   async function simulateRandomHovers() {
     const elements = document.querySelectorAll('a, img, button, [role="button"], div[class]');
-    const candidates = Array.from(elements).slice(0, 50); // Cap at 50 to avoid performance issues
+    const candidates = Array.from(elements)
+      .slice(0, 1000) // Cap how many we measure to avoid performance issues
+      .filter(el => {
+        const r = el.getBoundingClientRect();
+        return r.width > 0 && r.bottom > 0 && r.top < window.innerHeight;
+      })
+      .slice(0, 50);
     const hoverCount = randomInt(2, 5);
 
     for (let i = 0; i < hoverCount && candidates.length > 0; i++) {
       const idx = randomInt(0, candidates.length - 1);
-      simulateHover(candidates[idx]);
+      await simulateHover(candidates[idx]);
       await sleep(randomInt(200, 800)); // Brief pause between hovers
     }
   }
 
-  // Click a link — first hover over it (like a real user would), then click.
-  function clickLink(link) {
-    simulateHover(link);
-    link.click();
-    clickCount++;
+  // Click a link or button — scroll it into view if needed (until `until`),
+  // move the cursor onto it (like a real user would), then press and release
+  // at that spot.
+  async function clickElement(element, until) {
+    const rect = element.getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+      await wheelScrollTo(window.scrollY + rect.top - window.innerHeight / 2, until);
+    }
+    await simulateHover(element);
+    const { x, y } = pointer;
+    element.dispatchEvent(mouseEvent('mousedown', x, y, { button: 0, buttons: 1 }));
+    await sleep(randomInt(60, 140));
+    element.dispatchEvent(mouseEvent('mouseup', x, y, { button: 0 }));
+    element.dispatchEvent(mouseEvent('click', x, y, { button: 0 }));
+  }
+
+  // This page's counts, for the background to add up across hops.
+  function pageReport() {
+    return { scrolls: scrollCount, clicks: clickCount, bytes_estimated: estimatePageBytes(), play_ms: playMs, ads: adsViewed, consent };
+  }
+
+  // ─── Consent Banners ───────────────────────────────────────────────────────
+  // A consent wall can block scrolling and hold back most trackers until it's
+  // answered. Banners are recognised by the element ids and classes of the
+  // common consent platforms (most of them IAB TCF CMPs) — never by their
+  // text — and answered as the user chose (config.consent).
+
+  const CONSENT_WAIT_MS = 2000; // Banners often appear a moment after load
+
+  // Per platform: its banner, and the accept-all and reject-all buttons on
+  // the banner's first layer. null where there's no such button we can reach
+  // (Sourcepoint draws its banner in a cross-origin frame).
+  const CONSENT_PLATFORMS = [
+    { cmp: 'OneTrust', banner: '#onetrust-banner-sdk', accept: '#onetrust-accept-btn-handler', reject: '#onetrust-reject-all-handler' },
+    { cmp: 'Quantcast', banner: '.qc-cmp2-container', accept: '.qc-cmp2-summary-buttons button[mode="primary"]', reject: null },
+    { cmp: 'Didomi', banner: '#didomi-notice', accept: '#didomi-notice-agree-button', reject: '#didomi-notice-disagree-button' },
+    { cmp: 'Cookiebot', banner: '#CybotCookiebotDialog', accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', reject: '#CybotCookiebotDialogBodyButtonDecline' },
+    { cmp: 'TrustArc', banner: '#truste-consent-track', accept: '#truste-consent-button', reject: '#truste-consent-required' },
+    { cmp: 'consentmanager', banner: '#cmpbox', accept: '.cmpboxbtnyes', reject: '.cmpboxbtnno' },
+    { cmp: 'Sourcepoint', banner: '[id^="sp_message_container_"]', accept: null, reject: null },
+  ];
+
+  // Platforms keep their banner in the page once answered, just hidden.
+  function isShown(element) {
+    const r = element.getBoundingClientRect();
+    return r.width > 0 && r.height > 0 && getComputedStyle(element).visibility !== 'hidden';
+  }
+
+  // Wait up to CONSENT_WAIT_MS for a banner to show. Returns its platform
+  // entry, or null if there's none.
+  async function findConsentBanner() {
+    const until = Date.now() + CONSENT_WAIT_MS;
+    for (;;) {
+      const platform = CONSENT_PLATFORMS.find(p => {
+        const banner = document.querySelector(p.banner);
+        return banner && isShown(banner);
+      });
+      if (platform || Date.now() >= until) return platform || null;
+      await sleep(250);
+    }
+  }
+
+  // Answer a consent banner if there is one, and note what happened in
+  // `consent` for the report. Any scrolling to its button stops at `until`.
+  async function handleConsentBanner(until) {
+    const platform = await findConsentBanner();
+    if (!platform) return;
+    const mode = config.consent || 'accept';
+    if (mode === 'ignore') {
+      consent = { cmp: platform.cmp, outcome: 'ignored' };
+      return;
+    }
+    const button = platform[mode] && document.querySelector(platform[mode]);
+    if (!button || !isShown(button)) {
+      consent = { cmp: platform.cmp, outcome: 'unanswered' };
+      return;
+    }
+    await sleep(randomInt(800, 2000)); // Take the banner in before answering
+    await clickElement(button, until);
+    consent = { cmp: platform.cmp, outcome: mode === 'accept' ? 'accepted' : 'rejected' };
+  }
+
+  // ─── Video Playback ────────────────────────────────────────────────────────
+  // On entertainment and sports pages (config.media), sometimes start a video
+  // the way a visitor would and let it play for a while. Always muted — the
+  // background mutes the tab as well, so nothing is ever audible.
+
+  const VIDEO_CHANCE = 0.6;    // Per page: how often we look for a video
+  const MIN_VIDEO_WIDTH = 200; // px — smaller videos are previews and ads
+  const PLAY_START_MS = 3000;  // How long to wait for playback to start
+
+  // Big play buttons of common players (YouTube, Video.js, JW Player,
+  // Bitmovin) — some only create their <video> once one is clicked.
+  const PLAY_BUTTONS = '.ytp-large-play-button, .vjs-big-play-button, .jw-display-icon-display, .bmpui-ui-hugeplaybacktogglebutton';
+
+  // The first video on the page big enough to be the main one, or null.
+  function findVideo() {
+    return Array.from(document.querySelectorAll('video'))
+      .find(video => video.getBoundingClientRect().width >= MIN_VIDEO_WIDTH) || null;
+  }
+
+  // How much of the video has played, from its own played ranges, in ms.
+  function playedMs(video) {
+    let seconds = 0;
+    for (let i = 0; i < video.played.length; i++) {
+      seconds += video.played.end(i) - video.played.start(i);
+    }
+    return Math.round(seconds * 1000);
+  }
+
+  // Find a video, bring it into view, start it muted and let it play until
+  // about `ms` from now before pausing it — getting to it comes out of that
+  // time. Returns how long it actually played; a video that was already
+  // playing only counts from here on.
+  async function watchVideo(ms) {
+    const until = Date.now() + ms;
+    let video = findVideo();
+    if (!video) {
+      const button = Array.from(document.querySelectorAll(PLAY_BUTTONS)).find(isShown);
+      if (!button) return 0;
+      await clickElement(button, until);
+      await sleep(randomInt(800, 1500)); // Give the player time to set up
+      video = findVideo();
+      if (!video) return 0;
+    }
+
+    const rect = video.getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+      await wheelScrollTo(window.scrollY + rect.top - window.innerHeight / 4, until);
+    }
+    await simulateHover(video);
+    video.muted = true;
+    const before = playedMs(video);
+    // play() can stay pending for good — a stalled source, or a background
+    // tab Chrome holds playback back in — so don't wait on it for long
+    const started = await Promise.race([
+      video.play().then(() => true, () => false), // No playable source, or the player refused
+      sleep(PLAY_START_MS).then(() => false),
+    ]);
+    if (!started) {
+      video.pause(); // In case it starts after all
+      return 0;
+    }
+    await sleep(Math.max(0, until - Date.now()));
+    video.pause();
+    return playedMs(video) - before;
+  }
+
+  // ─── Ad Slots ──────────────────────────────────────────────────────────────
+  // On ad_click visits, look at the page's ads the way a reader passing them
+  // would: scroll each slot into view for long enough to count as viewed
+  // (viewability beacons want half the ad on screen for a second), hover it,
+  // and now and then (config.adClick) click one through. Ads drawn inside
+  // cross-origin frames can be viewed and hovered but not clicked — a script
+  // can't reach into them — so only ads with a link in the page itself are.
+
+  const MAX_AD_SLOTS = 4; // Most slots viewed per page
+
+  // Frames and containers of the common ad networks and ad-server tags
+  const AD_SLOTS = [
+    'iframe[id^="google_ads_iframe"]', 'iframe[src*="doubleclick.net"]',
+    'iframe[src*="googlesyndication.com"]', 'iframe[src*="amazon-adsystem.com"]',
+    'ins.adsbygoogle', 'div[id^="div-gpt-ad"]', '[data-google-query-id]',
+    '[id^="taboola-"]', '.OUTBRAIN', '[data-ad-slot]', '[data-ad-unit]',
+  ].join(', ');
+
+  // Ad slots big enough to be real ads, keeping only the outermost of nested
+  // ones (a GPT container and the frame inside it are one slot).
+  function findAdSlots() {
+    const slots = Array.from(document.querySelectorAll(AD_SLOTS)).slice(0, 50).filter(el => {
+      const r = el.getBoundingClientRect();
+      return r.width >= 50 && r.height >= 30;
+    });
+    return slots.filter(el => !slots.some(other => other !== el && other.contains(el)));
+  }
+
+  // The link to click an ad through by, if it has one in this document.
+  function adLink(slot) {
+    const link = slot.closest('a[href]') || slot.querySelector('a[href]');
+    if (!link || !/^https?:/.test(link.href) || isDenied(link.href)) return null;
+    return link;
+  }
+
+  // View and hover ad slots until `until`. Returns the slots viewed.
+  async function viewAds(until) {
+    const viewed = [];
+    for (const slot of findAdSlots().slice(0, MAX_AD_SLOTS)) {
+      if (Date.now() > until) break;
+      const rect = slot.getBoundingClientRect();
+      if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        await wheelScrollTo(window.scrollY + rect.top - (window.innerHeight - rect.height) / 2, until);
+      }
+      await sleep(randomInt(1200, 2500)); // On screen long enough to count
+      await simulateHover(slot);
+      viewed.push(slot);
+    }
+    adsViewed += viewed.length;
+    return viewed;
+  }
+
+  // Hand this page's counts to the background ahead of a click that may
+  // navigate — taking this script with it — and start the next page's
+  // from zero.
+  function handOver(action) {
+    chrome.runtime.sendMessage({ action, data: pageReport() });
+    scrollCount = 0;
+    clickCount = 0;
+    adsViewed = 0;
+    consent = null;
+    playMs = 0;
   }
 
   // ─── Main Interaction Sequence ─────────────────────────────────────────────
@@ -174,35 +594,71 @@
   async function interact() {
     if (!config) return;
 
-    const totalTime = config.delay || 10000;
+    // Time for this page if it clicks through, and until the visit ends if not
+    const pageTime = config.delay || 10000;
+    const totalTime = config.remaining || pageTime;
     const startTime = Date.now();
 
+    // Phase 0: Deal with a cookie consent banner, if the page shows one.
+    await handleConsentBanner(startTime + pageTime - 2000);
+
     // Phase 1: Initial dwell — simulate landing on the page and starting to read.
-    // A real person takes 1–3 seconds to orient themselves on a new page.
-    await sleep(randomInt(1000, 3000));
+    // Longer on a screen full of text than on a sparse one.
+    await readingPause(pageTime - 2000 - (Date.now() - startTime));
+
+    // Phase 1b: On video-heavy sites, maybe watch a video for a good part of
+    // this page's time, as a visitor who came for it would.
+    if (config.media && Math.random() < VIDEO_CHANCE) {
+      const left = pageTime - 3000 - (Date.now() - startTime);
+      if (left > 3000) playMs += await watchVideo(randomInt(Math.round(left * 0.4), Math.round(left * 0.7)));
+    }
 
     // Phase 2: Scroll through the page (2–4 times).
     // Simulates skimming through content like a real reader.
     const numScrolls = randomInt(2, 4);
     for (let i = 0; i < numScrolls; i++) {
       // Check time budget — stop scrolling if we're running low
-      if (Date.now() - startTime > totalTime - 2000) break;
-      await simulateScroll();
-      // Pause between scrolls (1–3s) to simulate reading each section
-      await sleep(randomInt(1000, 3000));
+      if (Date.now() - startTime > pageTime - 2000) break;
+      await simulateScroll(startTime + pageTime - 2000);
+      // Pause between scrolls to read the section that scrolled into view
+      await readingPause(pageTime - 2000 - (Date.now() - startTime));
+    }
+
+    // Report a few article links now, before a click can navigate away.
+    if (config.type === 'browse') {
+      const links = sampleDeepLinks();
+      if (links.length > 0) chrome.runtime.sendMessage({ action: 'deep-links', links });
     }
 
     // Phase 3: Hover over random elements.
     // Triggers tracking pixels and analytics events.
-    if (Date.now() - startTime < totalTime - 2000) {
+    if (Date.now() - startTime < pageTime - 2000) {
       await simulateRandomHovers();
     }
 
-    // Phase 4: Maybe click a link.
+    // Phase 3b: On ad_click visits, view the page's ads and maybe click one.
+    let adClicked = false;
+    if (config.type === 'ad_click' && !config.hop) {
+      const viewed = await viewAds(startTime + pageTime - 3000);
+      const clickable = viewed.map(adLink).filter(Boolean);
+      if (clickable.length > 0 && Math.random() < (config.adClick || 0)) {
+        const link = clickable[randomInt(0, clickable.length - 1)];
+        await sleep(randomInt(300, 1000)); // Brief pause before clicking
+        clickCount++;
+        handOver('ad-click');
+        await clickElement(link, startTime + pageTime);
+        adClicked = true;
+        await sleep(randomInt(1000, 2000)); // Pause after click (page may navigate)
+      }
+    }
+
+    // Phase 4: Maybe click a link, if this visit has hops left and hasn't
+    // clicked an ad.
     // On search result pages, we click a result ~50% of the time (people
     // usually click something). On regular pages, ~30% (sometimes you just read).
-    if (Date.now() - startTime < totalTime - 3000) {
-      const isSearchPage = config.type === 'search';
+    // Pages reached by a click are regular pages, whatever the task type.
+    if (!adClicked && (config.hopsLeft ?? 1) > 0 && Date.now() - startTime < pageTime - 3000) {
+      const isSearchPage = !config.hop && (config.type === 'search' || config.type === 'site_search');
       const clickChance = isSearchPage ? 0.5 : 0.3;
 
       if (Math.random() < clickChance) {
@@ -215,32 +671,37 @@
         if (!links || links.length === 0) {
           links = getVisibleLinks();
         }
+        links = links.filter(link => !isDenied(link.href));
         if (links.length > 0) {
           // Pick from the top 10 links (most prominent on the page)
           const link = links[randomInt(0, Math.min(links.length - 1, 9))];
           await sleep(randomInt(500, 1500)); // Brief pause before clicking
-          clickLink(link);
+          clickCount++;
+          handOver('hop');
+          await clickElement(link, startTime + pageTime);
           await sleep(randomInt(1000, 2000)); // Pause after click (page may navigate)
         }
       }
     }
 
-    // Phase 5: Final dwell — use remaining time to look like continued reading.
+    // Phase 5: Final dwell — use the rest of the configured dwell time to look
+    // like continued reading, so the tab stays open as long as the user set.
     const remaining = totalTime - (Date.now() - startTime);
     if (remaining > 0) {
-      await sleep(Math.min(remaining, 3000));
+      await sleep(remaining);
     }
 
     // ─── Report Results ────────────────────────────────────────────────────
     // Send interaction summary back to the background script.
-    // This is the ONLY data we send: counts and byte estimate.
-    // We do NOT send any page content, URLs found, or other page data.
+    // Apart from the deep-link sample above, this is the ONLY data we send:
+    // counts, byte estimate, video play time, ad slots viewed, the consent
+    // banner outcome and where click-through ended. We do NOT send any page content.
     chrome.runtime.sendMessage({
       action: 'interaction-complete',
       data: {
-        scrolls: scrollCount,
-        clicks: clickCount,
-        bytes_estimated: estimatePageBytes(),
+        ...pageReport(),
+        hops: config.hop || 0,
+        finalUrl: location.href,
       },
     });
   }
@@ -280,6 +741,7 @@
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'interact') {
       config = message;
+      deniedHosts = (config.denied || []).map(source => new RegExp(source));
       interact(); // Start the interaction sequence (runs asynchronously)
       sendResponse({ ok: true });
     }
@@ -85,6 +85,7 @@ async function refreshStatus() {
   const stats = status.stats || {};
   $('#stat-searches').textContent = stats.searches || 0;
   $('#stat-browses').textContent = stats.browses || 0;
+  $('#stat-site-searches').textContent = stats.siteSearches || 0;
   $('#stat-ads').textContent = stats.adClicks || 0;
   $('#stat-total').textContent = stats.totalActions || 0;
 
@@ -97,10 +98,94 @@ async function refreshStatus() {
     p.classList.toggle('active', p.dataset.value === (status.intensity || 'medium'));
   });
 
+  // Effective rate after the active-hours schedule and browsing sessions
+  const rate = status.effectiveRate || 0;
+  const session = status.browsingSession;
+  let rateText = `Effective rate: ~${Math.round(rate * 60)}/hr`;
+  if (status.scheduleEnabled && rate === 0 && session?.state !== 'idle') {
+    rateText = 'Quiet — outside active hours';
+  } else if (session?.state === 'idle') {
+    rateText = 'Idle between browsing sessions';
+  } else if (session?.state === 'active') {
+    rateText += ` · ${session.topic || 'mixed'} session`;
+  }
+  if (status.adaptive) {
+    rateText += ` · you: ~${Math.round(status.adaptive.userRate * 60)} pages/hr`;
+  }
+  $('#effective-rate').textContent = rateText;
+
+  // Tab pool occupancy — how many noise tabs are busy and how many tasks wait
+  const pool = status.tabPool;
+  let poolText = '';
+  if (pool) {
+    poolText = `Tabs: ${pool.active}/${pool.max} busy`;
+    if (pool.reuse) poolText += ' (reusing one tab)';
+    if (pool.waiting) poolText += ` · ${pool.waiting} waiting`;
+  }
+  $('#tab-pool-status').textContent = poolText;
+
+  // Idle-aware mode and the user's current presence state
+  const presence = status.presence;
+  let presenceText = '';
+  if (presence && presence.mode !== 'always') {
+    const state = presence.state === 'locked' ? 'Screen locked' : `You're ${presence.state}`;
+    presenceText = `${state} · runs ${presence.label}`;
+    if (presence.paused) presenceText += ' — paused';
+  }
+  $('#presence-status').textContent = presenceText;
+
+  // Active decoy persona and when it hands over to the next one
+  let personaText = '';
+  if (status.persona) {
+    personaText = `Persona: ${status.persona.name}`;
+    if (!status.persona.pinned) {
+      const days = Math.max(0, Math.ceil((status.persona.rotatesAt - Date.now()) / 86400000));
+      personaText += ` · switches in ${days <= 1 ? 'under a day' : `${days} days`}`;
+    }
+  }
+  $('#persona-status').textContent = personaText;
+
+  // Bandwidth budget state (only shown once a budget starts to bite)
+  const budget = status.budget;
+  let budgetText = '';
+  if (budget?.state === 'exhausted') {
+    budgetText = `Paused — ${budget.window} budget used up until it rolls over`;
+  } else if (budget?.state === 'throttled') {
+    budgetText = `Throttled: ${formatBytes(budget.used)} of ${formatBytes(budget.limit)} ` +
+      `${budget.window} budget used`;
+  }
+  $('#bw-budget').textContent = budgetText;
+
+  // Browse-site category mix: actual share so far against the target share
+  renderCategoryMix(status.categoryMix || []);
+
   // Update bandwidth display
   await refreshBandwidth(status.sessionBandwidth || 0);
 }
 
+// One bar per category in use: the fill is the actual share of browse tasks
+// since the weights last changed, the tick mark the share the weights aim for.
+function renderCategoryMix(mix) {
+  const total = mix.reduce((sum, c) => sum + c.count, 0);
+  $('#category-mix-total').textContent = total;
+  $('#category-mix').innerHTML = mix
+    .filter(c => c.target > 0 || c.count > 0)
+    .map(c => {
+      const actual = total > 0 ? Math.round(c.count / total * 100) : 0;
+      const target = Math.round(c.target * 100);
+      return `
+        <div class="category-mix-row">
+          <span class="category-mix-name">${categoryLabel(c.category)}</span>
+          <div class="category-mix-bar">
+            <div class="category-mix-fill" style="width:${actual}%"></div>
+            <div class="category-mix-target" style="left:${target}%"></div>
+          </div>
+          <span class="category-mix-value">${actual}% / ${target}%</span>
+        </div>
+      `;
+    }).join('');
+}
+
 // Fetch bandwidth data and update the chart + text values
 async function refreshBandwidth(sessionBytes) {
   const bw = await send('get-bandwidth');
@@ -202,7 +287,7 @@ async function refreshLog() {
       `;
     }
 
-    // ── Task log entries (search, browse, ad_click) ──
+    // ── Task log entries (search, browse, site_search, ad_click) ──
     const url = truncateUrl(entry.url, 35);
     const duration = entry.duration_ms ? Math.round(entry.duration_ms / 1000) + 's' : '';
     const bytes = entry.bytes_estimated ? formatBytes(entry.bytes_estimated) : '';
@@ -211,13 +296,21 @@ async function refreshLog() {
     const interactions = [];
     if (entry.interactions?.scrolls) interactions.push(`${entry.interactions.scrolls} scrolls`);
     if (entry.interactions?.clicks) interactions.push(`${entry.interactions.clicks} click${entry.interactions.clicks > 1 ? 's' : ''}`);
+    if (entry.interactions?.hops) interactions.push(`${entry.interactions.hops} hop${entry.interactions.hops > 1 ? 's' : ''}`);
+    if (entry.interactions?.ads) interactions.push(`${entry.interactions.ads} ad${entry.interactions.ads > 1 ? 's' : ''}`);
+    if (entry.interactions?.play_ms >= 1000) interactions.push(`${Math.round(entry.interactions.play_ms / 1000)}s video`);
+    if (entry.interactions?.consent) interactions.push(`consent ${entry.interactions.consent.outcome}`);
     const interStr = interactions.join(', ');
 
-    // Search entries show the engine name and query
+    // Search entries show the engine (or site) name and query
     let detail = '';
-    if (entry.type === 'search' && entry.engine) {
+    if ((entry.type === 'search' || entry.type === 'site_search') && entry.engine) {
       detail = `<span class="log-query">${escapeHtml(entry.engine)}: ${escapeHtml(entry.query || '')}</span>`;
     }
+    // Ad visits that clicked an ad show where it led
+    if (entry.ad_domain) {
+      detail = `<span class="log-query">ad → ${escapeHtml(entry.ad_domain)}</span>`;
+    }
 
     // Status indicator — shows if the task succeeded, timed out, or failed
     let statusBadge = '';
@@ -227,18 +320,26 @@ async function refreshLog() {
       statusBadge = '<span class="log-status log-status-error">failed</span>';
     }
 
-    // Badge text — "ad" instead of "ad_click" for space
-    const badgeText = entry.type === 'ad_click' ? 'ad' : entry.type;
+    // Badge text — "ad" instead of "ad_click", "site" instead of "site_search" for space
+    const badgeText = { ad_click: 'ad', site_search: 'site' }[entry.type] || entry.type;
+
+    // Steps of a search chain say where they fall in it
+    let chainStr = '';
+    if (entry.chain) {
+      const what = entry.chain.kind === 'page' ? `page ${entry.chain.page}`
+        : entry.chain.kind === 'refine' ? 'refined' : 'search';
+      chainStr = `${what} ${entry.chain.step}/${entry.chain.of}`;
+    }
 
-    // Build the metadata line: duration, interactions, bandwidth, status
-    const metaParts = [duration, interStr, bytes].filter(Boolean);
+    // Build the metadata line: chain step, duration, interactions, bandwidth, status
+    const metaParts = [chainStr, duration, interStr, bytes].filter(Boolean);
 
     return `
       <div class="log-entry">
         <span class="log-time">${timeStr}</span>
         <span class="log-badge ${entry.type}">${badgeText}</span>
         <div class="log-body">
-          <span class="log-url" title="${escapeHtml(entry.url)}">${escapeHtml(url)}</span>
+          <span class="log-url" title="${escapeHtml(entry.url)}${entry.final_url ? ` → ${escapeHtml(entry.final_url)}` : ''}">${escapeHtml(url)}</span>
           ${detail}
           <span class="log-meta">${metaParts.join(' · ')}${statusBadge ? ' ' + statusBadge : ''}</span>
         </div>
@@ -273,101 +374,225 @@ function escapeHtml(str) {
 // All settings are saved to chrome.storage.local via the background script.
 // Nothing leaves the browser.
 
-const ENGINES = [
-  { id: 'google',     name: 'Google' },
-  { id: 'duckduckgo', name: 'DuckDuckGo' },
-  { id: 'bing',       name: 'Bing' },
-  { id: 'yahoo',      name: 'Yahoo' },
-];
+// Task mix slider id suffix → task type
+const MIX_SLIDERS = { search: 'search', browse: 'browse', site: 'site_search', ad: 'ad_click' };
 
-const CATEGORIES = [
-  'news', 'tech', 'shopping', 'social', 'forums', 'education',
-  'entertainment', 'health', 'finance', 'travel', 'food', 'sports',
-];
+let categoryWeights = null; // Last category weights received from the background
+
+function categoryLabel(cat) {
+  return cat.charAt(0).toUpperCase() + cat.slice(1);
+}
+
+// Show each category slider's share of the total weight.
+function updateCategoryShares() {
+  const sliders = [...$$('[data-category]')];
+  const total = sliders.reduce((sum, s) => sum + parseInt(s.value, 10), 0);
+  for (const s of sliders) {
+    const share = total > 0 ? Math.round(parseInt(s.value, 10) / total * 100) : 0;
+    $(`[data-category-share="${s.dataset.category}"]`).textContent = share + '%';
+  }
+}
 
 async function renderSettings() {
   const settings = await send('get-settings');
   if (!settings) return;
 
   // ── Search Engine toggles + weight selectors ──
-  const engineList = $('#engine-list');
-  engineList.innerHTML = ENGINES.map(e => {
-    const s = settings.engines?.[e.id] || { enabled: true, weight: 25 };
-    return `
-      <div class="engine-row">
-        <label class="toggle">
-          <input type="checkbox" data-engine="${e.id}" ${s.enabled ? 'checked' : ''}>
-          <span class="toggle-slider"></span>
-        </label>
-        <label>${e.name}</label>
-        <div class="engine-weight">
-          <select data-engine-weight="${e.id}">
-            <option value="10" ${s.weight <= 15 ? 'selected' : ''}>Low</option>
-            <option value="30" ${s.weight > 15 && s.weight <= 40 ? 'selected' : ''}>Med</option>
-            <option value="55" ${s.weight > 40 ? 'selected' : ''}>High</option>
-          </select>
+  // The list comes from the background's registry, user-added engines last
+  // with a remove button.
+  if (settings.engineRegistry && !isEditing($('#engine-list'))) {
+    $('#engine-list').innerHTML = settings.engineRegistry.map(e => {
+      const s = settings.engines?.[e.id] || { enabled: true, weight: 25 };
+      return `
+        <div class="engine-row">
+          <label class="toggle">
+            <input type="checkbox" data-engine="${e.id}" ${s.enabled ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <label title="${escapeHtml(e.url)}">${escapeHtml(e.name)}</label>
+          <div class="engine-weight">
+            <select data-engine-weight="${e.id}">
+              <option value="10" ${s.weight <= 15 ? 'selected' : ''}>Low</option>
+              <option value="30" ${s.weight > 15 && s.weight <= 40 ? 'selected' : ''}>Med</option>
+              <option value="55" ${s.weight > 40 ? 'selected' : ''}>High</option>
+            </select>
+          </div>
+          ${e.custom ? `<button class="engine-remove" data-remove-engine="${e.id}" title="Remove">&times;</button>` : ''}
         </div>
-      </div>
-    `;
-  }).join('');
-
-  // Save engine settings when any toggle or weight changes
-  engineList.addEventListener('change', async (e) => {
-    const checkbox = e.target.closest('[data-engine]');
-    const select = e.target.closest('[data-engine-weight]');
-    if (checkbox || select) await saveEngineSettings();
-  });
+      `;
+    }).join('');
+  }
 
   // ── Task mix sliders ──
-  const tw = settings.taskWeights || { search: 45, browse: 40, ad_click: 15 };
-  $('#mix-search').value = tw.search;
-  $('#mix-browse').value = tw.browse;
-  $('#mix-ad').value = tw.ad_click;
-  $('#mix-search-val').textContent = tw.search + '%';
-  $('#mix-browse-val').textContent = tw.browse + '%';
-  $('#mix-ad-val').textContent = tw.ad_click + '%';
-
-  // ── Site category toggles ──
-  const catList = $('#category-list');
-  catList.innerHTML = CATEGORIES.map(cat => {
-    const enabled = settings.categories?.[cat] !== false;
-    return `
-      <div class="category-row">
-        <label class="toggle">
-          <input type="checkbox" data-category="${cat}" ${enabled ? 'checked' : ''}>
-          <span class="toggle-slider"></span>
-        </label>
-        <label>${cat.charAt(0).toUpperCase() + cat.slice(1)}</label>
+  const tw = settings.taskWeights || { search: 40, browse: 35, site_search: 10, ad_click: 15 };
+  for (const [key, type] of Object.entries(MIX_SLIDERS)) {
+    $(`#mix-${key}`).value = tw[type];
+    $(`#mix-${key}-val`).textContent = tw[type] + '%';
+  }
+
+  // ── Site category weight sliders ──
+  // One per category that has sites; hidden ones keep their saved weight.
+  if (settings.siteCategories && !isEditing($('#category-list'))) {
+    categoryWeights = settings.categories;
+    $('#category-list').innerHTML = settings.siteCategories.map(cat => `
+      <div class="mix-row">
+        <label>${categoryLabel(cat)}</label>
+        <input type="range" data-category="${cat}" min="0" max="100" value="${settings.categories?.[cat] ?? 50}" class="mix-slider">
+        <span class="mix-value" data-category-share="${cat}"></span>
       </div>
-    `;
-  }).join('');
+    `).join('');
+    updateCategoryShares();
+  }
 
-  // Save category settings when any toggle changes
-  catList.addEventListener('change', async () => {
-    const cats = {};
-    $$('[data-category]').forEach(cb => {
-      cats[cb.dataset.category] = cb.checked;
+  // ── Quarantined sites, each with a button to let it back in now ──
+  if (settings.quarantine) {
+    $('#quarantine-list').innerHTML = settings.quarantine.length === 0
+      ? '<div class="control-hint">None — every site is loading fine.</div>'
+      : settings.quarantine.map(q => {
+        const hours = Math.max(1, Math.round((q.until - Date.now()) / 3600000));
+        return `
+          <div class="engine-row">
+            <label>${escapeHtml(q.domain)}</label>
+            <span class="control-hint">back in ${hours} h</span>
+            <button class="quarantine-release" data-release-site="${escapeHtml(q.domain)}">Release</button>
+          </div>
+        `;
+      }).join('');
+  }
+
+  // ── Personas ──
+  const persona = settings.personaSettings;
+  if (persona && !isEditing($('#persona-settings'))) {
+    $('#persona-enabled').checked = persona.enabled;
+    $('#persona-pinned').innerHTML = '<option value="">Rotate automatically</option>' +
+      settings.personas.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+    $('#persona-pinned').value = persona.pinned || '';
+    $('#persona-rotation').innerHTML = settings.personaRotationDays
+      .map(d => `<option value="${d}">${d === 1 ? '1 day' : `${d} days`}</option>`).join('');
+    $('#persona-rotation').value = persona.rotationDays;
+    $('#persona-rotation').disabled = !!persona.pinned;
+  }
+
+  // ── Locales ──
+  if (settings.locales && !isEditing($('#locale-settings'))) {
+    $('#locale-list').innerHTML = settings.locales.map(l => {
+      const s = settings.localeSettings[l.id];
+      return `
+        <div class="engine-row">
+          <label class="toggle">
+            <input type="checkbox" data-locale="${l.id}" ${s.enabled ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <label>${escapeHtml(l.name)}</label>
+          <div class="engine-weight">
+            <select data-locale-weight="${l.id}">
+              <option value="10" ${s.weight <= 15 ? 'selected' : ''}>Low</option>
+              <option value="30" ${s.weight > 15 && s.weight <= 40 ? 'selected' : ''}>Med</option>
+              <option value="55" ${s.weight > 40 ? 'selected' : ''}>High</option>
+            </select>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // ── Your sites & searches ──
+  if (settings.customSites && !isEditing($('#custom-sites-settings'))) {
+    $('#custom-sites').value = settings.customSites.entries
+      .map(e => `${e.category}: ${e.url}`).join('\n');
+    $('#custom-sites-replace').checked = settings.customSites.replaceDefaults;
+  }
+  if (settings.customTerms && !isEditing($('#custom-terms-settings'))) {
+    $('#custom-terms').value = settings.customTerms.entries
+      .map(e => e.category === 'general' ? e.term : `${e.category}: ${e.term}`).join('\n');
+    $('#custom-terms-replace').checked = settings.customTerms.replaceDefaults;
+  }
+
+  // ── Denylist ──
+  if (settings.denylist && !isEditing($('#denylist-settings'))) {
+    $('#denylist-domains').value = settings.denylist.domains.join('\n');
+    $('#denylist-keywords').value = settings.denylist.keywords.join('\n');
+  }
+
+  // ── Active-hours schedule ──
+  if (settings.schedule) renderSchedule(settings.schedule);
+
+  // ── Browsing sessions ──
+  const sess = settings.sessionSettings;
+  const sessionSection = $('#session-settings');
+  if (sess && !isEditing(sessionSection)) {
+    $('#session-enabled').checked = !!sess.enabled;
+    $('#session-active').value = sess.meanActiveMinutes;
+    $('#session-idle').value = sess.meanIdleMinutes;
+    $('#session-distribution').value = sess.distribution;
+  }
+
+  // ── Custom intensity & dwell times ──
+  if (settings.customRatePerHour && !isEditing($('#custom-rate-settings'))) {
+    $('#custom-rate').value = settings.customRatePerHour;
+  }
+  if (settings.maxHops && !isEditing($('#hop-settings'))) {
+    $('#max-hops').value = settings.maxHops;
+  }
+  if (settings.consentMode && !isEditing($('#consent-settings'))) {
+    $('#consent-mode').value = settings.consentMode;
+  }
+  $('#media-enabled').checked = settings.mediaPlayback;
+  if (!isEditing($('#ad-settings'))) {
+    $('#ad-click-percent').value = settings.adClickPercent;
+  }
+  if (settings.delayRanges && !isEditing($('#dwell-settings'))) {
+    $$('[data-dwell]').forEach(input => {
+      input.value = settings.delayRanges[input.dataset.dwell][input.dataset.bound] / 1000;
     });
-    // Safety: ensure at least one category is always enabled
-    if (!Object.values(cats).some(v => v)) {
-      cats.news = true;
-      const newsCheckbox = $('[data-category="news"]');
-      if (newsCheckbox) newsCheckbox.checked = true;
-    }
-    await send('set-categories', cats);
-  });
+  }
+
+  // ── Bandwidth budgets ──
+  const budgets = settings.bandwidthBudgets;
+  if (budgets && !isEditing($('#budget-settings'))) {
+    $('#budget-hourly').value = budgets.hourlyMB;
+    $('#budget-daily').value = budgets.dailyMB;
+    $('#budget-monthly').value = budgets.monthlyMB;
+  }
+
+  // ── Auto intensity ──
+  const adaptive = settings.adaptiveSettings;
+  if (adaptive && !isEditing($('#adaptive-settings'))) {
+    $('#adaptive-ratio').value = adaptive.ratio;
+    $('#adaptive-floor').value = adaptive.floorPerHour;
+    $('#adaptive-ceiling').value = adaptive.ceilingPerHour;
+  }
+
+  // ── User activity ──
+  if (settings.idleMode && !isEditing($('#idle-settings'))) {
+    $('#idle-mode').value = settings.idleMode;
+  }
+
+  // ── Tab pool ──
+  const pool = settings.tabPoolSettings;
+  if (pool && !isEditing($('#tab-pool-settings'))) {
+    $('#tab-pool-max').value = pool.maxTabs;
+    $('#tab-pool-max').disabled = pool.reuseTab;
+    $('#tab-pool-reuse').checked = pool.reuseTab;
+  }
+}
+
+// True while the user is interacting with a control inside `el` — the
+// 3-second auto-refresh skips re-rendering it so open selects aren't reset.
+function isEditing(el) {
+  return el.contains(document.activeElement);
 }
 
 // Collect current engine UI state and send to background for persistence
 async function saveEngineSettings() {
   const engines = {};
   let anyEnabled = false;
-  ENGINES.forEach(e => {
-    const cb = $(`[data-engine="${e.id}"]`);
-    const sel = $(`[data-engine-weight="${e.id}"]`);
-    const enabled = cb?.checked ?? true;
+  $$('[data-engine]').forEach(cb => {
+    const id = cb.dataset.engine;
+    const sel = $(`[data-engine-weight="${id}"]`);
+    const enabled = cb.checked;
     const weight = parseInt(sel?.value || '30', 10);
-    engines[e.id] = { enabled, weight };
+    engines[id] = { enabled, weight };
     if (enabled) anyEnabled = true;
   });
   // Safety: ensure at least one engine is always enabled
@@ -379,9 +604,62 @@ async function saveEngineSettings() {
   await send('set-engines', engines);
 }
 
+// Save engine settings when any toggle or weight changes
+$('#engine-list').addEventListener('change', async (e) => {
+  const checkbox = e.target.closest('[data-engine]');
+  const select = e.target.closest('[data-engine-weight]');
+  if (checkbox || select) {
+    await saveEngineSettings();
+    e.target.blur();
+  }
+});
+
+$('#engine-list').addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-remove-engine]');
+  if (!button) return;
+  await send('remove-custom-engine', button.dataset.removeEngine);
+  await renderSettings();
+});
+
+$('#quarantine-list').addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-release-site]');
+  if (!button) return;
+  await send('release-site', button.dataset.releaseSite);
+  await renderSettings();
+});
+
+// Save locale toggles + weights; the background refuses to turn them all off
+$('#locale-list').addEventListener('change', async (e) => {
+  const value = {};
+  $$('[data-locale]').forEach(cb => {
+    const weight = parseInt($(`[data-locale-weight="${cb.dataset.locale}"]`).value, 10);
+    value[cb.dataset.locale] = { enabled: cb.checked, weight };
+  });
+  await send('set-locales', value);
+  e.target.blur();
+  await renderSettings();
+});
+
+// Add a user engine from the name + URL template fields
+$('#btn-add-engine').addEventListener('click', async () => {
+  const status = $('#custom-engine-status');
+  const result = await send('add-custom-engine', {
+    name: $('#custom-engine-name').value,
+    url: $('#custom-engine-url').value,
+  });
+  if (!result?.ok) {
+    status.textContent = `Not added — ${result?.error || 'invalid engine'}`;
+    return;
+  }
+  status.textContent = `Added ${result.engine.name}`;
+  $('#custom-engine-name').value = '';
+  $('#custom-engine-url').value = '';
+  await renderSettings();
+});
+
 // Task mix slider handlers — update the percentage label on drag,
 // save to storage on release.
-['search', 'browse', 'ad'].forEach(key => {
+Object.keys(MIX_SLIDERS).forEach(key => {
   const slider = $(`#mix-${key}`);
   if (!slider) return;
   // Update label while dragging
@@ -390,15 +668,305 @@ async function saveEngineSettings() {
   });
   // Save when user releases the slider
   slider.addEventListener('change', async () => {
-    const weights = {
-      search: parseInt($('#mix-search').value, 10),
-      browse: parseInt($('#mix-browse').value, 10),
-      ad_click: parseInt($('#mix-ad').value, 10),
-    };
+    const weights = {};
+    for (const [k, type] of Object.entries(MIX_SLIDERS)) {
+      weights[type] = parseInt($(`#mix-${k}`).value, 10);
+    }
     await send('set-task-weights', weights);
   });
 });
 
+// Site category sliders — shares update while dragging, all weights are
+// saved on release. The background refuses to turn every category off, in
+// which case the sliders snap back.
+$('#category-list').addEventListener('input', updateCategoryShares);
+$('#category-list').addEventListener('change', async (e) => {
+  const weights = { ...categoryWeights };
+  $$('[data-category]').forEach(s => {
+    weights[s.dataset.category] = parseInt(s.value, 10);
+  });
+  await send('set-categories', weights);
+  e.target.blur();
+  await renderSettings();
+});
+
+// ── Active-hours schedule editor ──
+// One row per weekday (toggle + start/end hour), plus a 24-bar curve where
+// clicking a bar cycles that hour through CURVE_LEVELS. The whole schedule
+// is sent back on every change; the background validates it.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const CURVE_LEVELS = [0, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+const CURVE_MAX = CURVE_LEVELS[CURVE_LEVELS.length - 1];
+
+let scheduleState = null; // Last schedule received from the background
+
+function hourOptions(from, to, selected) {
+  let html = '';
+  for (let h = from; h <= to; h++) {
+    html += `<option value="${h}" ${h === selected ? 'selected' : ''}>${String(h).padStart(2, '0')}:00</option>`;
+  }
+  return html;
+}
+
+function renderSchedule(schedule) {
+  scheduleState = schedule;
+  $('#schedule-enabled').checked = !!schedule.enabled;
+
+  const days = $('#schedule-days');
+  if (!isEditing(days)) {
+    days.innerHTML = schedule.days.map((d, i) => `
+      <div class="schedule-row">
+        <label class="toggle">
+          <input type="checkbox" data-day="${i}" ${d.enabled ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+        </label>
+        <label>${DAY_NAMES[i]}</label>
+        <select data-day-start="${i}">${hourOptions(0, 23, d.start)}</select>
+        <span class="schedule-dash">–</span>
+        <select data-day-end="${i}">${hourOptions(1, 24, d.end)}</select>
+      </div>
+    `).join('');
+  }
+
+  $('#schedule-curve').innerHTML = schedule.curve.map((v, h) => `
+    <button class="curve-bar" data-hour="${h}" title="${String(h).padStart(2, '0')}:00 — ${v}×">
+      <span style="height:${(v / CURVE_MAX) * 100}%"></span>
+    </button>
+  `).join('');
+}
+
+async function saveSchedule() {
+  if (!scheduleState) return;
+  await send('set-schedule', scheduleState);
+  renderSchedule(scheduleState);
+}
+
+$('#schedule-enabled').addEventListener('change', async (e) => {
+  if (!scheduleState) return;
+  scheduleState.enabled = e.target.checked;
+  await saveSchedule();
+});
+
+$('#schedule-days').addEventListener('change', async (e) => {
+  if (!scheduleState) return;
+  const el = e.target;
+  if (el.dataset.day !== undefined) {
+    scheduleState.days[el.dataset.day].enabled = el.checked;
+  } else if (el.dataset.dayStart !== undefined) {
+    scheduleState.days[el.dataset.dayStart].start = parseInt(el.value, 10);
+  } else if (el.dataset.dayEnd !== undefined) {
+    scheduleState.days[el.dataset.dayEnd].end = parseInt(el.value, 10);
+  } else {
+    return;
+  }
+  el.blur();
+  await saveSchedule();
+});
+
+$('#schedule-curve').addEventListener('click', async (e) => {
+  const bar = e.target.closest('.curve-bar');
+  if (!bar || !scheduleState) return;
+  const hour = parseInt(bar.dataset.hour, 10);
+  const current = scheduleState.curve[hour];
+  const next = CURVE_LEVELS.find(l => l > current) ?? CURVE_LEVELS[0];
+  scheduleState.curve[hour] = next;
+  await saveSchedule();
+});
+
+
+// ── Browsing session settings ──
+// Saved whenever any field changes; the background rejects out-of-range values.
+$('#session-settings').addEventListener('change', async (e) => {
+  await send('set-session-settings', {
+    enabled: $('#session-enabled').checked,
+    meanActiveMinutes: parseFloat($('#session-active').value),
+    meanIdleMinutes: parseFloat($('#session-idle').value),
+    distribution: $('#session-distribution').value,
+  });
+  e.target.blur();
+});
+
+
+// ── Persona settings ──
+$('#persona-settings').addEventListener('change', async (e) => {
+  await send('set-persona-settings', {
+    enabled: $('#persona-enabled').checked,
+    pinned: $('#persona-pinned').value || null,
+    rotationDays: parseInt($('#persona-rotation').value, 10),
+  });
+  e.target.blur();
+  await renderSettings();
+});
+
+
+// ── Your sites & searches ──
+// Each list is a textarea with one "category: value" entry per line, saved
+// when it loses focus. The background validates every line and reports the
+// ones it skipped, which we show under the list.
+
+// Split a line into { category, value }. A prefix only counts as a category
+// when followed by whitespace, so "https://…" is never mistaken for one.
+function parseListLine(line) {
+  const match = line.match(/^([a-z_]+):\s+(.+)$/i);
+  return match
+    ? { category: match[1].toLowerCase(), value: match[2].trim() }
+    : { category: '', value: line.trim() };
+}
+
+async function saveCustomList(kind) {
+  const lines = $(`#${kind}`).value.split('\n').filter(l => l.trim());
+  const entries = lines.map(line => {
+    const { category, value } = parseListLine(line);
+    return kind === 'custom-sites' ? { url: value, category } : { term: value, category };
+  });
+  const result = await send(kind === 'custom-sites' ? 'set-custom-sites' : 'set-custom-terms', {
+    entries,
+    replaceDefaults: $(`#${kind}-replace`).checked,
+  });
+
+  let status = result?.ok ? `Saved ${result.saved}` : (result?.error || 'Not saved');
+  if (result?.rejectedCount) {
+    status += ` · skipped ${result.rejectedCount}: ${result.rejected.join(', ')}` +
+      (result.rejectedCount > result.rejected.length ? ', …' : '');
+  }
+  $(`#${kind}-status`).textContent = status;
+}
+
+['custom-sites', 'custom-terms'].forEach(kind => {
+  $(`#${kind}-settings`).addEventListener('change', async (e) => {
+    await saveCustomList(kind);
+    e.target.blur();
+    await renderSettings();
+  });
+});
+
+// The denylist is saved whole when either list loses focus
+$('#denylist-settings').addEventListener('change', async (e) => {
+  const lines = id => $(id).value.split('\n').filter(l => l.trim());
+  const result = await send('set-denylist', {
+    domains: lines('#denylist-domains'),
+    keywords: lines('#denylist-keywords'),
+  });
+  let status = result?.ok ? `Saved ${result.saved}` : (result?.error || 'Not saved');
+  if (result?.rejectedCount) {
+    status += ` · skipped ${result.rejectedCount}: ${result.rejected.join(', ')}` +
+      (result.rejectedCount > result.rejected.length ? ', …' : '');
+  }
+  $('#denylist-status').textContent = status;
+  e.target.blur();
+  await renderSettings();
+});
+
+// Import appends a text file's lines to the chosen list, then saves it
+let importTarget = null;
+$$('[data-import]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    importTarget = btn.dataset.import;
+    $('#import-file').click();
+  });
+});
+
+$('#import-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file || !importTarget) return;
+  const text = await file.text();
+  const list = $(`#${importTarget}`);
+  list.value = [list.value.trim(), text.trim()].filter(Boolean).join('\n');
+  await saveCustomList(importTarget);
+  await renderSettings();
+});
+
+
+// ── Custom intensity & dwell time settings ──
+// Out-of-range values are rejected by the background; re-rendering then puts
+// the saved values back in the fields.
+$('#custom-rate').addEventListener('change', async (e) => {
+  await send('set-custom-rate', parseFloat(e.target.value));
+  e.target.blur();
+  await renderSettings();
+});
+
+$('#max-hops').addEventListener('change', async (e) => {
+  await send('set-max-hops', parseInt(e.target.value, 10));
+  e.target.blur();
+  await renderSettings();
+});
+
+$('#consent-mode').addEventListener('change', async (e) => {
+  await send('set-consent-mode', e.target.value);
+  e.target.blur();
+});
+
+$('#ad-click-percent').addEventListener('change', async (e) => {
+  await send('set-ad-click-chance', parseInt(e.target.value, 10));
+  e.target.blur();
+  await renderSettings();
+});
+
+$('#media-enabled').addEventListener('change', async (e) => {
+  await send('set-media-playback', e.target.checked);
+  e.target.blur();
+});
+
+$('#dwell-settings').addEventListener('change', async (e) => {
+  const ranges = {};
+  $$('[data-dwell]').forEach(input => {
+    ranges[input.dataset.dwell] ??= [];
+    ranges[input.dataset.dwell][input.dataset.bound] = Math.round(parseFloat(input.value) * 1000);
+  });
+  await send('set-delay-ranges', ranges);
+  e.target.blur();
+  await renderSettings();
+});
+
+
+// ── Bandwidth budget settings ──
+// Empty fields mean "no limit".
+$('#budget-settings').addEventListener('change', async (e) => {
+  await send('set-bandwidth-budgets', {
+    hourlyMB: parseFloat($('#budget-hourly').value) || 0,
+    dailyMB: parseFloat($('#budget-daily').value) || 0,
+    monthlyMB: parseFloat($('#budget-monthly').value) || 0,
+  });
+  e.target.blur();
+  await renderSettings();
+});
+
+
+// ── Auto intensity settings ──
+// The background rejects a minimum above the maximum; re-render to show what
+// was actually saved.
+$('#adaptive-settings').addEventListener('change', async (e) => {
+  await send('set-adaptive-settings', {
+    ratio: parseFloat($('#adaptive-ratio').value),
+    floorPerHour: parseFloat($('#adaptive-floor').value),
+    ceilingPerHour: parseFloat($('#adaptive-ceiling').value),
+  });
+  e.target.blur();
+  await renderSettings();
+});
+
+
+// ── User activity mode ──
+$('#idle-mode').addEventListener('change', async (e) => {
+  await send('set-idle-mode', e.target.value);
+  e.target.blur();
+});
+
+
+// ── Tab pool settings ──
+// In reuse mode there's only ever one tab, so the max field is disabled.
+$('#tab-pool-settings').addEventListener('change', async (e) => {
+  await send('set-tab-pool', {
+    maxTabs: parseInt($('#tab-pool-max').value, 10),
+    reuseTab: $('#tab-pool-reuse').checked,
+  });
+  e.target.blur();
+  await renderSettings();
+});
+
 
 // ─── Auto-Refresh ───────────────────────────────────────────────────────────────
 // The popup refreshes every 3 seconds so stats and logs stay current.